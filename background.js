@@ -1,6 +1,9 @@
 // GodTabs Background Service Worker
 // Handles extension lifecycle, tab management, and storage operations
 
+// Shared helpers (TabUtils, URLUtils, ...) used by the worker and extension pages
+importScripts('scripts/utils.js');
+
 // Initialize extension on installation
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('GodTabs extension installed/updated');
@@ -15,7 +18,12 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     showTabCount: true,
     autoSaveEnabled: true,
     autoSaveInterval: 60, // seconds
-    maxAutoSaveSnapshots: 10,
+    // Snapshot retention (grandfather-father-son)
+    snapshotRetentionKeepAllHours: 1, // Keep every snapshot this recent
+    snapshotRetentionHourlyDays: 1, // Then one per hour for this many days
+    snapshotRetentionDailyDays: 7, // Then one per day
+    snapshotRetentionWeeklyWeeks: 4, // Then one per week
+    snapshotStorageBudgetMB: 4, // Oldest snapshots are dropped beyond this size
     enableCrashRecovery: true,
     autoRestoreOnStartup: true,
     showRecoveryNotifications: true,
@@ -25,7 +33,26 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     excludePinnedFromAutoClose: true,
     excludeAudibleFromAutoClose: true,
     notifyBeforeAutoClose: true,
-    protectedDomains: [] // Domains to never auto-close
+    protectedDomains: [], // Domains to never auto-close
+    // Auto-group settings
+    autoGroupTabs: false,
+    autoGroupRules: [], // { pattern, groupName, color } applied before domain grouping
+    duplicateUrlRules: [], // { pattern, id, query, fragment } refining URL canonicalization per domain
+    duplicateKeepPolicy: 'recentlyActive', // Which copy survives: recentlyActive | currentWindow | pinnedOrGrouped | audible
+    preventDuplicateNavigation: false, // Focus the open copy instead of loading a duplicate
+    duplicateAllowlist: [], // URL patterns where duplicates are intentional
+    // Tab budget settings
+    tabLimit: 50,
+    tabLimitScope: 'window', // 'window' or 'global'
+    tabLimitPolicy: 'warn', // 'off', 'warn', 'suspend', 'park' or 'block'
+    // Archive settings
+    archiveEvictionPolicy: 'oldest', // 'oldest' or 'leastRecentlyAccessed'
+    archiveProtectFavorites: true, // Never archive favorite workspaces
+    // Restore settings
+    lazyRestore: false, // Open restored background tabs discarded until visited
+    lazyRestoreEagerCount: 3, // Tabs per window that load right away
+    lazyRestoreProgressive: true, // Load discarded tabs in the background while idle
+    restoreConcurrency: 4 // Tabs created in parallel
   };
   
   // Set default settings if not already present
@@ -47,9 +74,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   }
   
   // Initialize auto-save storage
-  const autoSaveSnapshots = await chrome.storage.local.get('autoSaveSnapshots');
-  if (!autoSaveSnapshots.autoSaveSnapshots) {
-    await chrome.storage.local.set({ autoSaveSnapshots: [] });
+  const snapshotIndex = await getSnapshotIndex();
+  if (snapshotIndex.length === 0) {
+    await chrome.storage.local.set({ snapshotIndex: [] });
   }
   
   const recoveryData = await chrome.storage.local.get('recoveryData');
@@ -62,6 +89,16 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   if (!tabActivity.tabActivity) {
     await chrome.storage.local.set({ tabActivity: {} });
   }
+  
+  // An update restarts the extension, not the browser; it is logged but never recovered from
+  if (details.reason === 'update') {
+    await classifyPreviousSession('extensionUpdate', details.previousVersion);
+  }
+  await beginLivenessSession();
+  
+  // Register periodic jobs (alarms are not guaranteed to survive an update)
+  const { settings } = await chrome.storage.sync.get('settings');
+  await syncScheduledJobs(settings || defaultSettings);
 });
 
 // Handle extension startup
@@ -70,25 +107,20 @@ chrome.runtime.onStartup.addListener(async () => {
   
   // Crash detection and recovery
   await detectAndRecoverFromCrash();
+  await beginLivenessSession();
   
-  // Set extension running flag
-  await chrome.storage.local.set({ extensionRunning: true });
+  // Window ids change across restarts; match restored windows back to their workspaces
+  await rebindWorkspaceWindows();
   
-  // Restore any auto-backup sessions if enabled
+  // Register periodic jobs and run any that were missed while the browser was closed
   const settings = await chrome.storage.sync.get('settings');
-  if (settings.settings?.sessionBackupInterval > 0) {
-    scheduleSessionBackup(settings.settings.sessionBackupInterval);
-  }
-  
-  // Initialize auto-save if enabled
-  if (settings.settings?.autoSaveEnabled) {
-    initializeAutoSave();
-  }
-  
-  // Initialize inactive tab cleanup if enabled
-  if (settings.settings?.autoCloseInactiveTabs) {
-    initializeInactiveTabCleanup();
-  }
+  await syncScheduledJobs(settings.settings || {});
+  await catchUpScheduledJobs();
+});
+
+// Dispatch scheduled jobs; alarms wake the service worker if it was suspended
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await runScheduledJob(alarm.name);
 });
 
 // Handle tab updates for various features
@@ -97,7 +129,12 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     // Check for duplicate tabs if auto-close is enabled
     const settings = await chrome.storage.sync.get('settings');
     if (settings.settings?.autoCloseDuplicates) {
-      await closeDuplicateTabs(tab);
+      await closeDuplicateTabs(tab, settings.settings);
+    }
+    
+    // Assign the tab to a native tab group if auto-grouping is enabled
+    if (settings.settings?.autoGroupTabs) {
+      await autoGroupTab(tab, settings.settings);
     }
     
     // Update tab history
@@ -110,19 +147,65 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
 // Handle tab activation for activity tracking
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
-  await updateTabActivity(activeInfo.tabId);
+  await updateTabActivity(activeInfo.tabId, { activated: true });
 });
 
-// Handle tab creation for activity tracking
+// Handle tab creation for activity tracking and tab budget enforcement
 chrome.tabs.onCreated.addListener(async (tab) => {
+  // Read before awaiting anything: a restore may finish while activity tracking is queued
+  const restored = restoringTabIds.has(tab.id);
+  const limitPaused = tabLimitPauseDepth > 0 || restored;
   await updateTabActivity(tab.id);
+  if (!limitPaused) {
+    await enforceTabLimit(tab);
+  }
 });
 
 // Handle tab removal to clean up activity data
 chrome.tabs.onRemoved.addListener(async (tabId) => {
+  restoringTabIds.delete(tabId);
   await cleanupTabActivity(tabId);
 });
 
+// Record tab changes into the active workspace when they happen in its window
+chrome.tabs.onCreated.addListener(async (tab) => {
+  await scheduleWorkspaceSync(tab.windowId);
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  // Closing the whole window must not empty the workspace
+  if (!removeInfo.isWindowClosing) {
+    await scheduleWorkspaceSync(removeInfo.windowId);
+  }
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.title || 'pinned' in changeInfo || 'groupId' in changeInfo) {
+    await scheduleWorkspaceSync(tab.windowId);
+  }
+});
+
+chrome.tabs.onMoved.addListener(async (tabId, moveInfo) => {
+  await scheduleWorkspaceSync(moveInfo.windowId);
+});
+
+chrome.tabs.onAttached.addListener(async (tabId, attachInfo) => {
+  await scheduleWorkspaceSync(attachInfo.newWindowId);
+});
+
+chrome.tabs.onDetached.addListener(async (tabId, detachInfo) => {
+  await scheduleWorkspaceSync(detachInfo.oldWindowId);
+});
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  await unbindWorkspaceWindow(windowId);
+  await markShutdownIfLastWindow();
+});
+
+chrome.windows.onCreated.addListener(async () => {
+  await clearShutdownMarker();
+});
+
 // Handle keyboard commands
 chrome.commands.onCommand.addListener(async (command) => {
   console.log('Command received:', command);
@@ -143,18 +226,82 @@ chrome.commands.onCommand.addListener(async (command) => {
 });
 
 // Tab management functions
-async function closeDuplicateTabs(currentTab) {
+// Duplicate resolution: every group of tabs showing the same page keeps one survivor,
+// picked by the duplicateKeepPolicy setting (see TabUtils.pickDuplicateSurvivor)
+
+/**
+ * Groups open tabs into duplicate clusters and marks the survivor of each
+ * @param {Object} options - { policy, windowId } overriding the setting and the focused window
+ * @returns {Promise<Array>} Clusters of { key, survivorId, tabs }
+ */
+async function getDuplicateClusters(options = {}) {
+  const [tabs, { settings = {} }, { tabActivity = {} }] = await Promise.all([
+    queryOpenTabs(),
+    chrome.storage.sync.get('settings'),
+    chrome.storage.local.get('tabActivity')
+  ]);
+  const policy = options.policy || settings.duplicateKeepPolicy || 'recentlyActive';
+  const currentWindowId = options.windowId ?? (await chrome.windows.getLastFocused().catch(() => null))?.id ?? null;
+  
+  return TabUtils.findDuplicates(tabs, settings.duplicateUrlRules).map(group => {
+    const survivor = TabUtils.pickDuplicateSurvivor(group, policy, { activity: tabActivity, currentWindowId });
+    return {
+      key: CanonicalURLUtils.canonicalize(survivor.url, settings.duplicateUrlRules),
+      survivorId: survivor.id,
+      tabs: group.map(tab => ({
+        id: tab.id,
+        windowId: tab.windowId,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        pinned: tab.pinned,
+        audible: tab.audible,
+        grouped: tab.groupId > -1,
+        lastAccessed: tabActivity[tab.id]?.lastAccessed ?? tab.lastAccessed ?? null
+      }))
+    };
+  });
+}
+
+/**
+ * Resolves the duplicates of currentTab, which may itself be closed if the policy prefers another copy
+ * URLs are compared by their canonical keys (see CanonicalURLUtils)
+ */
+async function closeDuplicateTabs(currentTab, settings = {}) {
   try {
-    const tabs = await chrome.tabs.query({});
-    const duplicates = tabs.filter(tab => 
-      tab.url === currentTab.url && 
-      tab.id !== currentTab.id && 
-      !tab.pinned
+    const [tabs, { tabActivity = {} }] = await Promise.all([
+      queryOpenTabs(),
+      chrome.storage.local.get('tabActivity')
+    ]);
+    if (isDuplicateAllowed(currentTab.url, settings.duplicateAllowlist)) {
+      return;
+    }
+    
+    const rules = settings.duplicateUrlRules || [];
+    const key = CanonicalURLUtils.canonicalize(currentTab.url, rules);
+    const group = tabs.filter(tab => 
+      CanonicalURLUtils.canonicalize(tab.url, rules) === key
     );
     
+    if (group.length < 2) {
+      return;
+    }
+    
+    // The tab that just loaded stands for the current window
+    const survivor = TabUtils.pickDuplicateSurvivor(group, settings.duplicateKeepPolicy, {
+      activity: tabActivity,
+      currentWindowId: currentTab.windowId
+    });
+    const duplicates = group.filter(tab => tab.id !== survivor.id && !tab.pinned);
+    
     if (duplicates.length > 0) {
-      const tabIds = duplicates.map(tab => tab.id);
-      await chrome.tabs.remove(tabIds);
+      await closeTabsWithUndo(duplicates, `Closed ${duplicates.length} duplicates of ${survivor.title || survivor.url}`, { automatic: true });
+      
+      // Don't leave the user looking at nothing when the tab they opened lost
+      if (currentTab.active && survivor.id !== currentTab.id) {
+        await chrome.tabs.update(survivor.id, { active: true });
+        await chrome.windows.update(survivor.windowId, { focused: true });
+      }
       console.log(`Closed ${duplicates.length} duplicate tabs`);
     }
   } catch (error) {
@@ -162,1208 +309,4001 @@ async function closeDuplicateTabs(currentTab) {
   }
 }
 
-async function closeAllDuplicates() {
+async function closeAllDuplicates(options = {}) {
   try {
-    const tabs = await chrome.tabs.query({});
-    const urlMap = new Map();
-    const duplicates = [];
-    
-    tabs.forEach(tab => {
-      if (tab.url && !tab.pinned) {
-        if (urlMap.has(tab.url)) {
-          duplicates.push(tab.id);
-        } else {
-          urlMap.set(tab.url, tab.id);
-        }
-      }
-    });
+    const clusters = await getDuplicateClusters(options);
+    const duplicateIds = clusters.flatMap(cluster => 
+      cluster.tabs.filter(tab => tab.id !== cluster.survivorId && !tab.pinned).map(tab => tab.id)
+    );
+    const duplicates = (await queryOpenTabs()).filter(tab => duplicateIds.includes(tab.id));
     
     if (duplicates.length > 0) {
-      await chrome.tabs.remove(duplicates);
+      const undoId = await closeTabsWithUndo(duplicates, `Closed ${duplicates.length} duplicate tabs`);
       showNotification(`Closed ${duplicates.length} duplicate tabs`);
+      return { closed: duplicates.length, undoId };
     }
   } catch (error) {
     console.error('Error closing all duplicates:', error);
   }
 }
 
-// Session management functions
-async function saveCurrentSession() {
+// Duplicate intercept
+// With preventDuplicateNavigation on, a new tab that starts loading a page that is already
+// open is closed before it loads and the open copy is focused. Navigations inside established
+// tabs are left alone: stopping them would mean reloading the old page and losing its state.
+const BLANK_TAB_URLS = ['', 'about:blank', 'chrome://newtab/', 'chrome://new-tab-page/'];
+const FRESH_TAB_MS = 5000; // A tab opened from a link counts as new for this long
+let duplicateInterceptPauseDepth = 0;
+
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+  if (details.frameId !== 0) {
+    return;
+  }
+  
+  // A restored tab's first load may start after the restore has resumed interception
+  const restored = restoringTabIds.delete(details.tabId);
+  if (restored || duplicateInterceptPauseDepth > 0) {
+    return;
+  }
+  
   try {
-    const tabs = await chrome.tabs.query({});
-    const session = {
-      id: Date.now().toString(),
-      name: `Session ${new Date().toLocaleString()}`,
-      timestamp: Date.now(),
-      tabs: tabs.map(tab => ({
-        url: tab.url,
-        title: tab.title,
-        pinned: tab.pinned,
-        active: tab.active
-      }))
-    };
-    
-    const { sessions = [] } = await chrome.storage.local.get('sessions');
-    sessions.unshift(session);
-    
-    // Keep only the latest 50 sessions
-    if (sessions.length > 50) {
-      sessions.splice(50);
-    }
-    
-    await chrome.storage.local.set({ sessions });
-    showNotification('Session saved successfully');
+    await interceptDuplicateNavigation(details.tabId, details.url);
   } catch (error) {
-    console.error('Error saving session:', error);
+    console.error('Error intercepting duplicate navigation:', error);
   }
+});
+
+/**
+ * Whether the duplicate allowlist lets url stay open more than once
+ * Entries use the URLUtils.matchesPattern syntax, e.g. "mail.google.com" or "*.example.com"
+ */
+function isDuplicateAllowed(url, allowlist = []) {
+  const bareUrl = url.replace(/^(https?:\/\/)www\./i, '$1');
+  return allowlist.some(pattern => 
+    URLUtils.matchesPattern(url, pattern) || URLUtils.matchesPattern(bareUrl, pattern)
+  );
 }
 
-async function restoreLastSession() {
-  try {
-    const { sessions = [] } = await chrome.storage.local.get('sessions');
-    if (sessions.length === 0) {
-      showNotification('No saved sessions found');
-      return;
-    }
-    
-    const lastSession = sessions[0];
-    for (const tabData of lastSession.tabs) {
-      await chrome.tabs.create({
-        url: tabData.url,
-        pinned: tabData.pinned,
-        active: false
-      });
-    }
-    
-    showNotification(`Restored session: ${lastSession.name}`);
-  } catch (error) {
-    console.error('Error restoring session:', error);
+/**
+ * Whether a tab has not shown a page of its own yet: it is blank or a new tab page,
+ * or it was opened from a link moments ago
+ */
+function isNewTab(tab, activity) {
+  if (BLANK_TAB_URLS.includes(tab.url)) {
+    return true;
   }
+  
+  // onCreated may not have recorded the tab yet
+  return tab.openerTabId !== undefined && (!activity || Date.now() - activity.createdAt < FRESH_TAB_MS);
 }
 
-// Tab history management
-async function updateTabHistory(tab) {
-  try {
-    const { tabHistory = [] } = await chrome.storage.local.get('tabHistory');
-    
-    // Remove existing entry for this URL
-    const filteredHistory = tabHistory.filter(entry => entry.url !== tab.url);
-    
-    // Add new entry at the beginning
-    filteredHistory.unshift({
-      url: tab.url,
-      title: tab.title,
-      timestamp: Date.now(),
-      favicon: tab.favIconUrl
-    });
-    
-    // Keep only the latest entries based on settings
-    const settings = await chrome.storage.sync.get('settings');
-    const maxHistory = settings.settings?.maxTabHistory || 100;
-    if (filteredHistory.length > maxHistory) {
-      filteredHistory.splice(maxHistory);
-    }
-    
-    await chrome.storage.local.set({ tabHistory: filteredHistory });
-  } catch (error) {
-    console.error('Error updating tab history:', error);
+async function interceptDuplicateNavigation(tabId, url) {
+  if (!/^https?:/i.test(url)) {
+    return;
+  }
+  
+  const { settings = {} } = await chrome.storage.sync.get('settings');
+  if (!settings.preventDuplicateNavigation || isDuplicateAllowed(url, settings.duplicateAllowlist)) {
+    return;
+  }
+  
+  // Prerendered pages navigate in tabs that don't exist yet
+  const [tab, { tabActivity = {} }] = await Promise.all([
+    chrome.tabs.get(tabId).catch(() => null),
+    chrome.storage.local.get('tabActivity')
+  ]);
+  if (!tab || !isNewTab(tab, tabActivity[tabId])) {
+    return;
+  }
+  
+  const rules = settings.duplicateUrlRules || [];
+  const key = CanonicalURLUtils.canonicalize(url, rules);
+  const tabs = await queryOpenTabs();
+  const copies = tabs.filter(other => 
+    other.id !== tabId && 
+    other.incognito === tab.incognito && 
+    CanonicalURLUtils.canonicalize(other.url || other.pendingUrl || '', rules) === key
+  );
+  
+  if (copies.length === 0) {
+    return;
   }
+  
+  const existing = TabUtils.pickDuplicateSurvivor(copies, settings.duplicateKeepPolicy, {
+    activity: tabActivity,
+    currentWindowId: tab.windowId
+  });
+  
+  await chrome.tabs.remove(tabId);
+  await chrome.tabs.update(existing.id, { active: true });
+  await chrome.windows.update(existing.windowId, { focused: true });
+  console.log(`Focused tab ${existing.id} instead of opening a duplicate of ${url}`);
 }
 
-// Tab activity tracking for auto-suspend inactive tabs
-async function updateTabActivity(tabId) {
-  try {
-    const now = Date.now();
-    const { tabActivity = {} } = await chrome.storage.local.get('tabActivity');
-    
-    // Update the last accessed time for this tab
-    tabActivity[tabId] = {
-      lastAccessed: now,
-      createdAt: tabActivity[tabId]?.createdAt || now,
-      suspended: false, // Mark as active when accessed
-      suspendedAt: null
-    };
-    
-    await chrome.storage.local.set({ tabActivity });
-  } catch (error) {
-    console.error('Error updating tab activity:', error);
+// Auto-grouping functionality
+const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+const AUTO_GROUP_MIN_DOMAIN_TABS = 2; // A domain group is only created once a window has this many tabs from it
+
+/**
+ * Picks a stable tab group color for a group name
+ */
+function getAutoGroupColor(name) {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
   }
+  return TAB_GROUP_COLORS[hash % TAB_GROUP_COLORS.length];
 }
 
-async function cleanupTabActivity(tabId) {
-  try {
-    const { tabActivity = {} } = await chrome.storage.local.get('tabActivity');
-    
-    if (tabActivity[tabId]) {
-      delete tabActivity[tabId];
-      await chrome.storage.local.set({ tabActivity });
-    }
-  } catch (error) {
-    console.error('Error cleaning up tab activity:', error);
-  }
+/**
+ * Returns the first user rule matching the URL, or null
+ * Rules are { pattern, groupName, color } with wildcard patterns (see URLUtils.matchesPattern)
+ */
+function matchAutoGroupRule(url, rules = []) {
+  return rules.find(rule => rule.pattern && rule.groupName && URLUtils.matchesPattern(url, rule.pattern)) || null;
 }
 
-// Session backup scheduling
-function scheduleSessionBackup(intervalMinutes) {
-  setInterval(async () => {
-    await saveCurrentSession();
-  }, intervalMinutes * 60 * 1000);
+/**
+ * Determines whether a tab is eligible for auto-grouping
+ * Pinned tabs, special pages and tabs the user already grouped are left alone
+ */
+function isAutoGroupCandidate(tab) {
+  return tab.url &&
+         !tab.pinned &&
+         tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE &&
+         isValidUrl(tab.url);
 }
 
-// Auto-save functionality
-let autoSaveTimer = null;
-let autoSaveInitMutex = false;
-const AUTO_SAVE_DEBOUNCE_MS = 5000; // Minimum time between auto-save attempts
+/**
+ * Domain used as the group name, without the "www." prefix
+ */
+function getAutoGroupDomain(url) {
+  return URLUtils.getDomain(url).replace(/^www\./, '');
+}
 
 /**
- * Initializes the auto-save system with efficient, non-blocking operation
- * Sets up interval timer and handles configuration changes gracefully
- * Uses mutex pattern to prevent race conditions
+ * Adds tabs to the group with the given title in a window, creating it if needed
  */
-async function initializeAutoSave() {
-  // Prevent concurrent initialization
-  if (autoSaveInitMutex) {
-    console.log('Auto-save initialization already in progress, skipping');
-    return;
-  }
+async function addTabsToNamedGroup(windowId, tabIds, title, color) {
+  const [existingGroup] = await chrome.tabGroups.query({ windowId, title });
   
-  autoSaveInitMutex = true;
+  if (existingGroup) {
+    await chrome.tabs.group({ groupId: existingGroup.id, tabIds });
+    return existingGroup.id;
+  }
   
+  const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+  await chrome.tabGroups.update(groupId, {
+    title,
+    color: TAB_GROUP_COLORS.includes(color) ? color : getAutoGroupColor(title)
+  });
+  return groupId;
+}
+
+/**
+ * Assigns a freshly loaded tab to a native tab group
+ * User rules win; otherwise tabs are grouped by domain once the window holds enough of them
+ */
+async function autoGroupTab(tab, settings = {}) {
   try {
-    // Get current settings with fallback defaults
-    const settings = await chrome.storage.sync.get('settings');
-    const interval = Math.max(settings.settings?.autoSaveInterval || 60, 10); // Minimum 10 seconds
+    if (!chrome.tabGroups || !isAutoGroupCandidate(tab)) {
+      return;
+    }
     
-    // Clear existing timer to prevent multiple timers
-    if (autoSaveTimer) {
-      clearInterval(autoSaveTimer);
-      autoSaveTimer = null;
+    const rule = matchAutoGroupRule(tab.url, settings.autoGroupRules);
+    if (rule) {
+      await addTabsToNamedGroup(tab.windowId, [tab.id], rule.groupName, rule.color);
+      return;
     }
     
-    // Only initialize if auto-save is enabled
-    if (!settings.settings?.autoSaveEnabled) {
-      console.log('Auto-save is disabled, skipping initialization');
+    const domain = getAutoGroupDomain(tab.url);
+    if (!domain) {
       return;
     }
     
-    // Start non-blocking auto-save timer
-    autoSaveTimer = setInterval(() => {
-      // Use setTimeout to make the snapshot creation non-blocking
-      setTimeout(() => {
-        createWorkspaceSnapshot().catch(error => {
-          console.error('Auto-save snapshot creation failed:', error);
-        });
-      }, 0);
-    }, interval * 1000);
+    const [existingGroup] = await chrome.tabGroups.query({ windowId: tab.windowId, title: domain });
+    if (existingGroup) {
+      await chrome.tabs.group({ groupId: existingGroup.id, tabIds: [tab.id] });
+      return;
+    }
     
-    console.log(`Auto-save initialized with ${interval}s interval`);
-  } catch (error) {
-    console.error('Error initializing auto-save:', error);
-    // Ensure timer is cleared on error
-    if (autoSaveTimer) {
-      clearInterval(autoSaveTimer);
-      autoSaveTimer = null;
+    const windowTabs = await chrome.tabs.query({ windowId: tab.windowId });
+    const candidates = windowTabs.filter(t => isAutoGroupCandidate(t) && !matchAutoGroupRule(t.url, settings.autoGroupRules));
+    const domainTabs = Object.entries(TabUtils.groupByDomain(candidates))
+      .filter(([groupDomain]) => groupDomain.replace(/^www\./, '') === domain)
+      .flatMap(([, tabs]) => tabs);
+    
+    if (domainTabs.length >= AUTO_GROUP_MIN_DOMAIN_TABS) {
+      await addTabsToNamedGroup(tab.windowId, domainTabs.map(t => t.id), domain);
     }
-  } finally {
-    autoSaveInitMutex = false;
+  } catch (error) {
+    console.error('Error auto-grouping tab:', error);
   }
 }
 
 /**
- * Creates a workspace snapshot with efficient, atomic operation
- * Prevents data corruption by using temporary storage and atomic swaps
- * Implements debouncing to avoid excessive snapshot creation
+ * Applies auto-grouping rules to every ungrouped tab in every window
+ * Triggered from the popup's "Group Tabs" action
  */
-async function createWorkspaceSnapshot() {
-  // Check if auto-save is temporarily disabled due to failures
-  const now = Date.now();
-  if (autoSaveDisabledUntil > now) {
-    console.log(`Auto-save disabled until ${new Date(autoSaveDisabledUntil).toISOString()}, skipping snapshot`);
-    return;
+async function regroupAllTabs() {
+  if (!chrome.tabGroups) {
+    throw new Error('Tab groups are not supported in this browser');
   }
   
-  // Debounce: Skip if another save is in progress or too recent
-  if (isAutoSaveInProgress || (now - lastAutoSaveAttempt) < AUTO_SAVE_DEBOUNCE_MS) {
-    console.log('Auto-save skipped: operation in progress or too recent');
-    return;
-  }
-  
-  // Set flags to prevent concurrent operations
-  isAutoSaveInProgress = true;
-  lastAutoSaveAttempt = now;
+  const settings = await chrome.storage.sync.get('settings');
+  const rules = settings.settings?.autoGroupRules || [];
+  const tabs = await queryOpenTabs({ windowType: 'normal' });
+  let groupedCount = 0;
   
-  let tempSnapshot = null;
+  const tabsByWindow = new Map();
+  for (const tab of tabs.filter(isAutoGroupCandidate)) {
+    if (!tabsByWindow.has(tab.windowId)) {
+      tabsByWindow.set(tab.windowId, []);
+    }
+    tabsByWindow.get(tab.windowId).push(tab);
+  }
   
-  try {
-    // Step 1: Check if auto-save is still enabled (settings might have changed)
-    const settings = await chrome.storage.sync.get('settings');
-    if (!settings.settings?.autoSaveEnabled) {
-      console.log('Auto-save disabled during snapshot creation, aborting');
-      return;
+  for (const [windowId, windowTabs] of tabsByWindow) {
+    // title -> { color, tabIds }
+    const assignments = new Map();
+    const assign = (title, color, tabIds) => {
+      if (!assignments.has(title)) {
+        assignments.set(title, { color, tabIds: [] });
+      }
+      assignments.get(title).tabIds.push(...tabIds);
+    };
+    
+    const unmatched = [];
+    for (const tab of windowTabs) {
+      const rule = matchAutoGroupRule(tab.url, rules);
+      if (rule) {
+        assign(rule.groupName, rule.color, [tab.id]);
+      } else {
+        unmatched.push(tab);
+      }
     }
     
-    // Step 2: Gather data efficiently using Promise.all for parallel operations
-    const [tabs, workspaces] = await Promise.all([
-      chrome.tabs.query({}),
-      chrome.storage.local.get('workspaces')
-    ]);
-    
-    // Step 3: Filter and process tabs efficiently
-    const validTabs = tabs.filter(tab => 
-      tab.url && 
-      !tab.url.startsWith('chrome://') && 
-      !tab.url.startsWith('chrome-extension://') &&
-      !tab.url.startsWith('moz-extension://')
-    );
-    
-    // Step 4: Create snapshot object with comprehensive metadata
-    const snapshotId = `snapshot_${now}_${Math.random().toString(36).substr(2, 9)}`;
-    tempSnapshot = {
-      id: snapshotId,
-      timestamp: now,
-      sessionId: `session_${now}`,
-      version: '1.1', // Updated version for new format
-      workspaces: workspaces.workspaces || [],
-      tabs: validTabs.map(tab => ({
-        id: tab.id,
-        url: tab.url,
-        title: tab.title,
-        favIconUrl: tab.favIconUrl,
-        pinned: tab.pinned,
-        windowId: tab.windowId,
-        index: tab.index,
-        active: tab.active
-      })),
-      metadata: {
-        totalTabs: validTabs.length,
-        totalWorkspaces: (workspaces.workspaces || []).length,
-        userAgent: navigator.userAgent,
-        extensionVersion: chrome.runtime.getManifest().version,
-        createdAt: new Date(now).toISOString(),
-        platform: 'chrome-extension'
+    const existingGroups = await chrome.tabGroups.query({ windowId });
+    for (const [domain, domainTabs] of Object.entries(TabUtils.groupByDomain(unmatched))) {
+      const title = domain.replace(/^www\./, '');
+      if (domain === 'other' || !title) {
+        continue;
+      }
+      if (domainTabs.length >= AUTO_GROUP_MIN_DOMAIN_TABS || existingGroups.some(g => g.title === title)) {
+        assign(title, null, domainTabs.map(t => t.id));
       }
-    };
-    
-    // Step 5: Validate snapshot integrity before saving
-    if (!validateWorkspaceSnapshot(tempSnapshot)) {
-      throw new Error('Snapshot validation failed');
     }
     
-    // Step 6: Save using atomic operation to prevent corruption
-    await saveWorkspaceSnapshotAtomic(tempSnapshot);
-    
-    console.log(`Auto-save completed successfully: ${snapshotId} (${validTabs.length} tabs, ${(workspaces.workspaces || []).length} workspaces)`);
-    
-  } catch (error) {
-    console.error('Error creating workspace snapshot:', error);
-    
-    // Step 7: Attempt cleanup of any partial data if temp snapshot was created
-    if (tempSnapshot) {
+    for (const [title, { color, tabIds }] of assignments) {
       try {
-        await cleanupFailedSnapshot(tempSnapshot.id);
-      } catch (cleanupError) {
-        console.error('Failed to cleanup after snapshot error:', cleanupError);
+        await addTabsToNamedGroup(windowId, tabIds, title, color);
+        groupedCount += tabIds.length;
+      } catch (error) {
+        console.error(`Failed to group tabs into "${title}":`, error);
       }
     }
-    
-    // Optional: Disable auto-save temporarily if there are repeated failures
-    await handleAutoSaveFailure(error);
-    
-  } finally {
-    // Always reset the progress flag
-    isAutoSaveInProgress = false;
   }
+  
+  showNotification(`Grouped ${groupedCount} tab${groupedCount !== 1 ? 's' : ''}`);
+  return { groupedCount };
 }
 
+// Tab budget functionality
+let tabLimitPauseDepth = 0;
+const restoringTabIds = new Set(); // Tabs created by a restore, kept until their first load starts
+let lastTabLimitWarning = 0;
+const TAB_LIMIT_WARNING_INTERVAL_MS = 60000; // At most one warning per minute
+const MAX_PARKED_TABS = 100;
+
 /**
- * Enhanced snapshot validation with comprehensive checks
- * Ensures data integrity before storage operations
+ * Enforces the tabLimit setting when a tab is created
+ * Policies: 'warn' notifies, 'suspend' discards the least engaged tab,
+ * 'park' closes the oldest unpinned tab into the parked list, 'block' closes the
+ * new tab and opens its URL in the window's active tab instead
  */
-function validateWorkspaceSnapshot(snapshot) {
+async function enforceTabLimit(newTab) {
   try {
-    // Basic structure validation
-    if (!snapshot || typeof snapshot !== 'object') {
-      console.error('Snapshot validation failed: invalid snapshot object');
-      return false;
-    }
-    
-    // Required field validation
-    const requiredFields = ['id', 'timestamp', 'sessionId', 'version', 'workspaces', 'tabs', 'metadata'];
-    for (const field of requiredFields) {
-      if (!(field in snapshot)) {
-        console.error(`Snapshot validation failed: missing required field '${field}'`);
-        return false;
-      }
-    }
-    
-    // Type validation
-    if (!Array.isArray(snapshot.workspaces)) {
-      console.error('Snapshot validation failed: workspaces must be an array');
-      return false;
-    }
-    
-    if (!Array.isArray(snapshot.tabs)) {
-      console.error('Snapshot validation failed: tabs must be an array');
-      return false;
-    }
+    const { settings = {} } = await chrome.storage.sync.get('settings');
+    const policy = settings.tabLimitPolicy || 'warn';
+    const limit = settings.tabLimit || 50;
     
-    if (typeof snapshot.timestamp !== 'number' || snapshot.timestamp <= 0) {
-      console.error('Snapshot validation failed: invalid timestamp');
-      return false;
+    if (policy === 'off') {
+      return;
     }
     
-    // Data size validation (prevent excessive memory usage)
-    const maxTabs = 1000;
-    const maxWorkspaces = 100;
+    const query = settings.tabLimitScope === 'global'
+      ? { windowType: 'normal' }
+      : { windowId: newTab.windowId };
+    // Tabs parked by workspace switches are out of sight and don't count
+    const tabs = await queryOpenTabs(query);
+    // Discarded tabs no longer use memory, so they don't count against a suspend budget
+    const countedTabs = policy === 'suspend' ? tabs.filter(tab => !tab.discarded) : tabs;
     
-    if (snapshot.tabs.length > maxTabs) {
-      console.warn(`Snapshot has ${snapshot.tabs.length} tabs, exceeding maximum of ${maxTabs}`);
-      return false;
+    if (countedTabs.length <= limit) {
+      return;
     }
     
-    if (snapshot.workspaces.length > maxWorkspaces) {
-      console.warn(`Snapshot has ${snapshot.workspaces.length} workspaces, exceeding maximum of ${maxWorkspaces}`);
-      return false;
-    }
+    const candidates = tabs.filter(tab =>
+      tab.id !== newTab.id &&
+      tab.url &&
+      !tab.pinned &&
+      !shouldExcludeFromAutoClose(tab, settings, settings.protectedDomains || [])
+    );
     
-    // Tab validation
-    for (const tab of snapshot.tabs) {
-      if (!tab.url || typeof tab.url !== 'string') {
-        console.error('Snapshot validation failed: tab missing valid URL');
-        return false;
-      }
+    switch (policy) {
+      case 'suspend':
+        await suspendLeastValuableTab(candidates.filter(tab => !tab.discarded));
+        break;
+      case 'park':
+        await parkOldestTab(candidates);
+        break;
+      case 'block':
+        await blockNewTab(newTab, limit);
+        break;
+      case 'warn':
+      default:
+        warnTabLimitExceeded(countedTabs.length, limit);
     }
-    
-    return true;
   } catch (error) {
-    console.error('Error during snapshot validation:', error);
-    return false;
+    console.error('Error enforcing tab limit:', error);
+  }
+}
+
+function warnTabLimitExceeded(count, limit) {
+  const now = Date.now();
+  if (now - lastTabLimitWarning < TAB_LIMIT_WARNING_INTERVAL_MS) {
+    return;
+  }
+  
+  lastTabLimitWarning = now;
+  showNotification(`You have ${count} tabs open (limit: ${limit}). Consider closing or suspending some.`, 'warning');
+}
+
+async function suspendLeastValuableTab(candidates) {
+  if (candidates.length === 0) {
+    return;
+  }
+  
+  // Lowest engagement first, the least recently used tab among equals
+  const { tabActivity = {} } = await chrome.storage.local.get('tabActivity');
+  const now = Date.now();
+  const [leastValuable] = [...candidates].sort((a, b) =>
+    TabUtils.getEngagementScore(tabActivity[a.id]?.engagement, now) -
+    TabUtils.getEngagementScore(tabActivity[b.id]?.engagement, now) ||
+    (tabActivity[a.id]?.lastAccessed ?? a.lastAccessed ?? 0) -
+    (tabActivity[b.id]?.lastAccessed ?? b.lastAccessed ?? 0)
+  );
+  
+  await suspendInactiveTabs([leastValuable], { automatic: true });
+}
+
+async function parkOldestTab(candidates) {
+  if (candidates.length === 0) {
+    return;
   }
+  
+  const { tabActivity = {} } = await chrome.storage.local.get('tabActivity');
+  const [oldest] = [...candidates].sort((a, b) =>
+    (tabActivity[a.id]?.createdAt ?? a.id) - (tabActivity[b.id]?.createdAt ?? b.id)
+  );
+  
+  await parkTab(oldest);
+  showNotification(`Tab limit reached: parked "${oldest.title || oldest.url}"`);
 }
 
 /**
- * Atomic snapshot saving operation to prevent data corruption
- * Uses temporary storage and atomic swaps to ensure data integrity
+ * Closes a tab and keeps its URL in the parked list so it can be reopened later
  */
-async function saveWorkspaceSnapshotAtomic(snapshot) {
-  const tempKey = `temp_snapshot_${snapshot.id}`;
+async function parkTab(tab) {
+  const { parkedTabs = [] } = await chrome.storage.local.get('parkedTabs');
+  
+  parkedTabs.unshift({
+    id: `parked_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    url: tab.url,
+    title: tab.title,
+    favIconUrl: tab.favIconUrl,
+    parkedAt: Date.now()
+  });
+  
+  if (parkedTabs.length > MAX_PARKED_TABS) {
+    parkedTabs.splice(MAX_PARKED_TABS);
+  }
+  
+  await chrome.storage.local.set({ parkedTabs });
+  await chrome.tabs.remove(tab.id);
+}
+
+async function blockNewTab(newTab, limit) {
+  const targetUrl = newTab.pendingUrl || newTab.url;
+  const [activeTab] = await chrome.tabs.query({ windowId: newTab.windowId, active: true });
+  // Prefer the tab that opened the new one; new tabs are often already the active tab
+  const targetTabId = newTab.openerTabId ?? (activeTab && activeTab.id !== newTab.id ? activeTab.id : null);
+  
+  await chrome.tabs.remove(newTab.id);
+  
+  if (targetUrl && isValidUrl(targetUrl) && targetTabId !== null) {
+    await chrome.tabs.update(targetTabId, { url: targetUrl, active: true });
+  }
+  
+  showNotification(`Tab limit of ${limit} reached: new tab blocked`, 'warning');
+}
+
+/**
+ * Reopens a parked tab and removes it from the parked list
+ */
+async function restoreParkedTab(parkedId) {
+  const { parkedTabs = [] } = await chrome.storage.local.get('parkedTabs');
+  const parked = parkedTabs.find(entry => entry.id === parkedId);
   
+  if (!parked) {
+    throw new Error('Parked tab not found');
+  }
+  
+  await chrome.storage.local.set({ parkedTabs: parkedTabs.filter(entry => entry.id !== parkedId) });
+  const tab = await chrome.tabs.create({ url: parked.url, active: true });
+  return tab;
+}
+
+// Session management functions
+async function saveCurrentSession() {
   try {
-    // Step 1: Get current snapshots and settings
-    const [currentData, settings] = await Promise.all([
-      chrome.storage.local.get('autoSaveSnapshots'),
-      chrome.storage.sync.get('settings')
+    const [tabs, windows, groups] = await Promise.all([
+      queryOpenTabs(),
+      captureWindowLayout(),
+      captureTabGroups()
     ]);
+    const session = {
+      id: Date.now().toString(),
+      name: `Session ${new Date().toLocaleString()}`,
+      timestamp: Date.now(),
+      windows: windows.filter(win => tabs.some(tab => tab.windowId === win.id)),
+      groups,
+      tabs: tabs.map(tab => ({
+        url: tab.url,
+        title: tab.title,
+        pinned: tab.pinned,
+        active: tab.active,
+        windowId: tab.windowId,
+        index: tab.index,
+        groupId: tab.groupId
+      }))
+    };
     
-    const autoSaveSnapshots = currentData.autoSaveSnapshots || [];
-    const maxSnapshots = Math.max(settings.settings?.maxAutoSaveSnapshots || 10, 1);
+    const { sessions = [] } = await chrome.storage.local.get('sessions');
     
-    // Step 2: Save snapshot to temporary location first
-    await chrome.storage.local.set({ [tempKey]: snapshot });
+    // Sessions over the maxSessions limit are archived rather than dropped
+    const updatedSessions = await applySessionLimit([session, ...sessions], [session.id]);
     
-    // Step 3: Verify temporary save was successful
-    const tempVerification = await chrome.storage.local.get(tempKey);
-    if (!tempVerification[tempKey] || tempVerification[tempKey].id !== snapshot.id) {
-      throw new Error('Temporary snapshot save verification failed');
+    await chrome.storage.local.set({ sessions: updatedSessions });
+    showNotification('Session saved successfully');
+  } catch (error) {
+    console.error('Error saving session:', error);
+  }
+}
+
+async function restoreLastSession() {
+  try {
+    const { sessions = [] } = await chrome.storage.local.get('sessions');
+    if (sessions.length === 0) {
+      showNotification('No saved sessions found');
+      return;
     }
     
-    // Step 4: Prepare new snapshots array
-    const newSnapshots = [snapshot, ...autoSaveSnapshots];
+    return await restoreSession(sessions[0].id);
+  } catch (error) {
+    console.error('Error restoring session:', error);
+  }
+}
+
+/**
+ * Restores any saved session by id, recreating its original windows
+ * Modes: 'current' puts the first saved window into the focused window, 'newWindow' opens
+ * every saved window fresh, 'replace' also closes the focused window's previous tabs
+ */
+async function restoreSession(sessionId, options = {}) {
+  try {
+    const { sessions = [] } = await chrome.storage.local.get('sessions');
+    const session = sessions.find(s => s.id === sessionId);
+    
+    if (!session) {
+      throw new Error('Session not found');
+    }
     
-    // Step 5: Trim to maximum allowed snapshots
-    if (newSnapshots.length > maxSnapshots) {
-      newSnapshots.splice(maxSnapshots);
+    if (!session.tabs || session.tabs.length === 0) {
+      showNotification(`Session "${session.name}" is empty`, 'warning');
+      return { session, createdTabs: [], failedTabs: [], success: true };
     }
     
-    // Step 6: Atomically update the main snapshots array
-    await chrome.storage.local.set({ autoSaveSnapshots: newSnapshots });
+    const mode = options.mode || 'current';
+    const settings = await chrome.storage.sync.get('settings');
+    
+    let targetWindowId = null;
+    let tabsToClose = [];
     
-    // Step 7: Verify main save was successful
-    const verification = await chrome.storage.local.get('autoSaveSnapshots');
-    const savedSnapshot = verification.autoSaveSnapshots?.[0];
+    if (mode !== 'newWindow') {
+      const currentWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+      targetWindowId = currentWindow.id;
+      
+      if (mode === 'replace') {
+        const currentTabs = await chrome.tabs.query({ windowId: targetWindowId });
+        tabsToClose = currentTabs.filter(tab => !tab.pinned).map(tab => tab.id);
+      }
+    }
+    
+    // Create session tabs before closing anything so the window is never left empty
+    const { createdTabs, failedTabs } = await restoreTabsByWindow(session.tabs, session.windows, {
+      targetWindowId,
+      groups: session.groups,
+      activateTabs: settings.settings?.restoreActiveTab !== false
+    });
     
-    if (!savedSnapshot || savedSnapshot.id !== snapshot.id) {
-      throw new Error('Main snapshot save verification failed');
+    if (tabsToClose.length > 0 && createdTabs.length > 0) {
+      await chrome.tabs.remove(tabsToClose);
     }
     
-    // Step 8: Clean up temporary storage
-    await chrome.storage.local.remove(tempKey);
+    // Recorded for the least-recently-accessed eviction policy
+    session.lastAccessed = Date.now();
+    await chrome.storage.local.set({ sessions });
     
-    // Step 9: Reset failure tracking on successful save
-    resetAutoSaveFailureTracking();
+    const message = failedTabs.length > 0
+      ? `Restored "${session.name}" (${failedTabs.length} tabs failed)`
+      : `Restored session: ${session.name}`;
     
-    console.log(`Snapshot saved atomically: ${snapshot.id} (${newSnapshots.length}/${maxSnapshots} snapshots)`);
+    showNotification(message, failedTabs.length > 0 ? 'warning' : 'success');
     
+    return {
+      session,
+      createdTabs,
+      failedTabs,
+      success: true
+    };
   } catch (error) {
-    // Cleanup temporary storage on error
-    try {
-      await chrome.storage.local.remove(tempKey);
-    } catch (cleanupError) {
-      console.error('Failed to cleanup temporary snapshot:', cleanupError);
-    }
-    
-    throw new Error(`Atomic snapshot save failed: ${error.message}`);
+    console.error('Error restoring session:', error);
+    showNotification(`Failed to restore session: ${error.message}`, 'error');
+    throw error;
   }
 }
 
 /**
- * Legacy snapshot saving function - kept for backward compatibility
- * @deprecated Use saveWorkspaceSnapshotAtomic instead
+ * Creates tabs from stored tab data, collecting tabs that could not be opened
+ * Honors the lazy restore settings (see getRestoreOptions)
+ * @param {object[]} tabsData - Stored tab records ({ url, pinned, ... })
+ * @param {object} createProperties - Extra properties passed to chrome.tabs.create
+ * @returns {Promise<{createdTabs: chrome.tabs.Tab[], failedTabs: object[]}>}
  */
-async function saveWorkspaceSnapshot(snapshot) {
-  console.warn('Using deprecated saveWorkspaceSnapshot - consider upgrading to saveWorkspaceSnapshotAtomic');
-  return saveWorkspaceSnapshotAtomic(snapshot);
+async function openTabsFromData(tabsData, createProperties = {}) {
+  const createdTabs = [];
+  const failedTabs = [];
+  const restored = [];
+  
+  // Restores open many tabs at once; the tab budget and the duplicate intercept must not fight them
+  tabLimitPauseDepth++;
+  duplicateInterceptPauseDepth++;
+  
+  try {
+    const { settings = {} } = await chrome.storage.sync.get('settings');
+    await createTabsFromData(tabsData, createProperties, getRestoreOptions(settings), { createdTabs, failedTabs, restored });
+  } finally {
+    tabLimitPauseDepth--;
+    duplicateInterceptPauseDepth--;
+  }
+  
+  return { createdTabs, failedTabs, restored };
 }
 
-/**
- * Cleans up failed snapshot data to prevent storage pollution
- * Removes any temporary or corrupted snapshot entries
- */
-async function cleanupFailedSnapshot(snapshotId) {
-  try {
-    const tempKey = `temp_snapshot_${snapshotId}`;
-    
-    // Remove any temporary storage
-    await chrome.storage.local.remove(tempKey);
+// Lazy restore
+const LAZY_RESTORE_COMMIT_TIMEOUT_MS = 5000;
+const LAZY_LOAD_IDLE_SECONDS = 60;
+const LAZY_LOAD_BATCH_SIZE = 2;
+const LAZY_LOAD_PERIOD_MINUTES = 0.5;
+
+// Load lazily restored tabs as soon as the user steps away
+chrome.idle.setDetectionInterval(LAZY_LOAD_IDLE_SECONDS);
+chrome.idle.onStateChanged.addListener(async (newState) => {
+  if (newState !== 'active') {
+    await loadQueuedTabs();
+  }
+});
+
+function getRestoreOptions(settings) {
+  return {
+    lazy: !!settings.lazyRestore,
+    eagerCount: Math.max(settings.lazyRestoreEagerCount ?? 3, 0),
+    concurrency: Math.min(Math.max(settings.restoreConcurrency || 4, 1), 10),
+    progressive: settings.lazyRestoreProgressive !== false
+  };
+}
+
+async function createTabsFromData(tabsData, createProperties, restoreOptions, { createdTabs, failedTabs, restored }) {
+  const results = new Array(tabsData.length);
+  let nextIndex = 0;
+  
+  // Bounded parallelism: a fixed number of workers each take the next tab to create
+  const worker = async () => {
+    while (nextIndex < tabsData.length) {
+      const index = nextIndex++;
+      results[index] = await createTabFromData(tabsData[index], index, createProperties, restoreOptions);
+    }
+  };
+  
+  await Promise.all(
+    Array.from({ length: Math.min(restoreOptions.concurrency, tabsData.length) }, worker)
+  );
+  
+  const lazyTabIds = [];
+  for (const result of results) {
+    if (result.failed) {
+      failedTabs.push(result.failed);
+      continue;
+    }
     
-    // Check if the failed snapshot made it into the main array
-    const { autoSaveSnapshots = [] } = await chrome.storage.local.get('autoSaveSnapshots');
-    const filteredSnapshots = autoSaveSnapshots.filter(snapshot => 
-      snapshot && snapshot.id !== snapshotId
-    );
+    createdTabs.push(result.tab);
+    restored.push({ tabData: result.tabData, tab: result.tab });
+    if (result.lazy) {
+      lazyTabIds.push(result.tab.id);
+    }
+  }
+  
+  // Parallel creation can finish out of order; put the tabs back in their saved order
+  if (restoreOptions.concurrency > 1 && restored.length > 1) {
+    await restoreTabOrder(restored, createProperties.windowId);
+  }
+  
+  if (restoreOptions.progressive && lazyTabIds.length > 0) {
+    await queueLazyTabs(lazyTabIds);
+  }
+}
+
+async function createTabFromData(tabData, index, createProperties, restoreOptions) {
+  if (!isValidUrl(tabData.url)) {
+    return { failed: { ...tabData, reason: 'Invalid URL' } };
+  }
+  
+  try {
+    let tab = await chrome.tabs.create({
+      ...createProperties,
+      url: tabData.url,
+      pinned: tabData.pinned,
+      active: false
+    });
+    restoringTabIds.add(tab.id);
     
-    // Update storage if we found and removed the corrupted snapshot
-    if (filteredSnapshots.length !== autoSaveSnapshots.length) {
-      await chrome.storage.local.set({ autoSaveSnapshots: filteredSnapshots });
-      console.log(`Cleaned up corrupted snapshot: ${snapshotId}`);
+    // The saved active tab and the first few tabs load right away, the rest wait until visited
+    const lazy = restoreOptions.lazy && !tabData.active && index >= restoreOptions.eagerCount;
+    if (lazy) {
+      tab = await discardOnceCommitted(tab);
     }
     
+    return { tab, tabData, lazy };
   } catch (error) {
-    console.error(`Failed to cleanup snapshot ${snapshotId}:`, error);
+    console.error(`Failed to create tab ${index}:`, error);
+    return { failed: { ...tabData, reason: error.message } };
   }
 }
 
 /**
- * Handles auto-save failures with intelligent retry and fallback mechanisms
- * Implements exponential backoff and temporary disabling for repeated failures
+ * Discards a freshly created tab once its URL is committed, so the discarded tab still knows what to load
  */
-let autoSaveFailureCount = 0;
-let autoSaveDisabledUntil = 0;
-const MAX_CONSECUTIVE_FAILURES = 3;
-const FAILURE_TIMEOUT_MS = 300000; // 5 minutes
+async function discardOnceCommitted(tab) {
+  await new Promise((resolve) => {
+    const listener = (tabId, changeInfo, updatedTab) => {
+      if (tabId === tab.id && updatedTab.url) {
+        done();
+      }
+    };
+    const timeout = setTimeout(() => done(), LAZY_RESTORE_COMMIT_TIMEOUT_MS);
+    
+    function done() {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
+    
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.get(tab.id).then(current => {
+      if (current.url) {
+        done();
+      }
+    }).catch(() => done());
+  });
+  
+  try {
+    return await chrome.tabs.discard(tab.id) || tab;
+  } catch (error) {
+    console.error(`Failed to discard restored tab ${tab.id}:`, error);
+    return tab;
+  }
+}
 
-async function handleAutoSaveFailure(error) {
+async function restoreTabOrder(restored, windowId) {
   try {
-    autoSaveFailureCount++;
-    const now = Date.now();
-    
-    console.error(`Auto-save failure #${autoSaveFailureCount}:`, error.message);
+    const pinnedIds = restored.filter(({ tabData }) => tabData.pinned).map(({ tab }) => tab.id);
+    const unpinnedIds = restored.filter(({ tabData }) => !tabData.pinned).map(({ tab }) => tab.id);
     
-    // If we've had too many consecutive failures, temporarily disable auto-save
-    if (autoSaveFailureCount >= MAX_CONSECUTIVE_FAILURES) {
-      autoSaveDisabledUntil = now + FAILURE_TIMEOUT_MS;
-      
-      // Clear the auto-save timer to stop further attempts
-      if (autoSaveTimer) {
-        clearInterval(autoSaveTimer);
-        autoSaveTimer = null;
+    // Moving a list to the end keeps the list order; pinned tabs stay within the pinned strip
+    for (const tabIds of [pinnedIds, unpinnedIds]) {
+      if (tabIds.length > 1) {
+        await chrome.tabs.move(tabIds, { windowId, index: -1 });
       }
-      
-      console.warn(`Auto-save temporarily disabled due to ${autoSaveFailureCount} consecutive failures. Will re-enable at ${new Date(autoSaveDisabledUntil).toISOString()}`);
-      
-      // Schedule re-initialization
-      setTimeout(() => {
-        initializeAutoSave().catch(err => {
-          console.error('Failed to re-initialize auto-save after failure timeout:', err);
-        });
-      }, FAILURE_TIMEOUT_MS);
-      
-    } else {
-      // For sporadic failures, just log and continue
-      console.log(`Auto-save will continue, failure count: ${autoSaveFailureCount}/${MAX_CONSECUTIVE_FAILURES}`);
     }
-    
-  } catch (handlingError) {
-    console.error('Error while handling auto-save failure:', handlingError);
+  } catch (error) {
+    console.error('Failed to restore tab order:', error);
   }
 }
 
 /**
- * Resets auto-save failure tracking when a successful save occurs
- * Called internally by saveWorkspaceSnapshotAtomic on success
+ * Adds lazily restored tabs to the queue that loads them in the background while the user is idle
  */
-function resetAutoSaveFailureTracking() {
-  if (autoSaveFailureCount > 0) {
-    console.log(`Auto-save recovered after ${autoSaveFailureCount} failures`);
-    autoSaveFailureCount = 0;
-    autoSaveDisabledUntil = 0;
-  }
+async function queueLazyTabs(tabIds) {
+  const { lazyLoadQueue = [] } = await chrome.storage.local.get('lazyLoadQueue');
+  await chrome.storage.local.set({ lazyLoadQueue: [...lazyLoadQueue, ...tabIds] });
+  await scheduleJob('lazyTabLoad', LAZY_LOAD_PERIOD_MINUTES);
 }
 
-/**
- * Manually triggers an auto-save snapshot creation
- * Can be called from popup or options page for immediate backup
- */
-async function triggerManualAutoSave() {
-  try {
-    console.log('Manual auto-save triggered');
-    
-    // Temporarily reset failure tracking for manual saves
-    const originalFailureCount = autoSaveFailureCount;
-    autoSaveFailureCount = 0;
-    autoSaveDisabledUntil = 0;
-    
-    await createWorkspaceSnapshot();
-    
-    console.log('Manual auto-save completed successfully');
-    return { success: true, message: 'Auto-save completed successfully' };
-    
-  } catch (error) {
-    // Restore original failure count if manual save fails
-    autoSaveFailureCount = originalFailureCount;
-    
-    console.error('Manual auto-save failed:', error);
-    return { success: false, message: `Auto-save failed: ${error.message}` };
+async function loadQueuedTabs() {
+  const { lazyLoadQueue = [] } = await chrome.storage.local.get('lazyLoadQueue');
+  
+  if (lazyLoadQueue.length === 0) {
+    await cancelJob('lazyTabLoad');
+    return;
+  }
+  
+  // Only load while the user is away so background loading never competes with them
+  const state = await chrome.idle.queryState(LAZY_LOAD_IDLE_SECONDS);
+  if (state === 'active') {
+    return;
+  }
+  
+  const queue = [...lazyLoadQueue];
+  let loaded = 0;
+  
+  while (queue.length > 0 && loaded < LAZY_LOAD_BATCH_SIZE) {
+    const tabId = queue.shift();
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.discarded) {
+        await chrome.tabs.reload(tabId);
+        loaded++;
+      }
+    } catch {
+      // Tab was closed since it was queued
+    }
+  }
+  
+  await chrome.storage.local.set({ lazyLoadQueue: queue });
+  if (queue.length === 0) {
+    await cancelJob('lazyTabLoad');
   }
 }
 
+// Window layout capture and restore
+
 /**
- * Handles auto-save settings changes and reinitializes if needed
- * Called when user changes auto-save settings in options page
+ * Captures the bounds and state of every normal browser window
+ * @returns {Promise<object[]>} Window records keyed by the live window id
  */
-async function handleAutoSaveSettingsChange(newSettings) {
+async function captureWindowLayout() {
   try {
-    console.log('Auto-save settings changed, reinitializing...');
-    
-    // Clear existing timer
-    if (autoSaveTimer) {
-      clearInterval(autoSaveTimer);
-      autoSaveTimer = null;
-    }
-    
-    // Reset failure tracking on settings change
-    resetAutoSaveFailureTracking();
-    
-    // Reinitialize with new settings if enabled
-    if (newSettings.autoSaveEnabled) {
-      await initializeAutoSave();
-    } else {
-      console.log('Auto-save disabled by user settings');
-    }
-    
+    const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+    return windows.map(win => ({
+      id: win.id,
+      left: win.left,
+      top: win.top,
+      width: win.width,
+      height: win.height,
+      state: win.state,
+      focused: win.focused
+    }));
   } catch (error) {
-    console.error('Error handling auto-save settings change:', error);
+    console.error('Error capturing window layout:', error);
+    return [];
   }
 }
 
-// Inactive tabs cleanup functionality
-let inactiveTabsTimer = null;
-let inactiveTabsInitMutex = false;
-
 /**
- * Initializes the inactive tabs cleanup system
- * Sets up periodic checks to suspend tabs that exceed the inactivity timeout
- * Uses mutex pattern to prevent race conditions
+ * Splits stored tabs into per-window buckets ordered by their saved tab index
+ * The previously focused window comes first; records without windowId share one bucket
+ * @param {object[]} tabsData - Stored tab records
+ * @param {object[]} windowsData - Stored window records
+ * @returns {{window: object|null, tabs: object[]}[]} Window buckets
  */
-async function initializeInactiveTabCleanup() {
-  // Prevent concurrent initialization
-  if (inactiveTabsInitMutex) {
-    console.log('Inactive tabs cleanup initialization already in progress, skipping');
-    return;
-  }
-  
-  inactiveTabsInitMutex = true;
+function groupTabsByWindow(tabsData, windowsData = []) {
+  const buckets = new Map();
   
-  try {
-    const settings = await chrome.storage.sync.get('settings');
-    
-    // Clear existing timer if any
-    if (inactiveTabsTimer) {
-      clearInterval(inactiveTabsTimer);
-      inactiveTabsTimer = null;
-    }
-    
-    // Only initialize if auto-suspend is enabled
-    if (!settings.settings?.autoCloseInactiveTabs) {
-      console.log('Auto-suspend inactive tabs is disabled, skipping initialization');
-      return;
-    }
-    
-    // Check for inactive tabs every 5 minutes
-    const checkInterval = 5 * 60 * 1000; // 5 minutes
-    
-    inactiveTabsTimer = setInterval(async () => {
-      await checkAndCloseInactiveTabs();
-    }, checkInterval);
-    
-    console.log('Inactive tabs cleanup initialized with 5-minute check interval');
-  } catch (error) {
-    console.error('Error initializing inactive tabs cleanup:', error);
-    if (inactiveTabsTimer) {
-      clearInterval(inactiveTabsTimer);
-      inactiveTabsTimer = null;
+  for (const tabData of tabsData) {
+    const key = tabData.windowId ?? 'default';
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
     }
-  } finally {
-    inactiveTabsInitMutex = false;
+    buckets.get(key).push(tabData);
   }
+  
+  const groups = [...buckets.entries()].map(([windowId, tabs]) => ({
+    window: windowsData.find(w => w.id === windowId) || null,
+    tabs: [...tabs].sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+  }));
+  
+  return groups.sort((a, b) => Number(!!b.window?.focused) - Number(!!a.window?.focused));
 }
 
 /**
- * Checks for inactive tabs and suspends them based on user settings
- * Implements smart exclusions for pinned tabs, audio tabs, and protected domains
+ * Captures title, color and collapsed state of every native tab group
+ * Tabs reference these records through their saved groupId
+ * @returns {Promise<object[]>} Tab group records keyed by the live group id
  */
-async function checkAndCloseInactiveTabs() {
+async function captureTabGroups() {
   try {
-    const settings = await chrome.storage.sync.get('settings');
-    
-    // Double-check if feature is still enabled
-    if (!settings.settings?.autoCloseInactiveTabs) {
-      return;
-    }
-    
-    const timeoutMinutes = settings.settings?.inactiveTabTimeoutMinutes || 60;
-    const timeoutMs = timeoutMinutes * 60 * 1000;
-    const now = Date.now();
-    
-    // Get all tabs and activity data
-    const [tabs, { tabActivity = {} }] = await Promise.all([
-      chrome.tabs.query({}),
-      chrome.storage.local.get('tabActivity')
-    ]);
-    
-    const tabsToSuspend = [];
-    const protectedDomains = settings.settings?.protectedDomains || [];
-    
-    for (const tab of tabs) {
-      // Skip if tab should be excluded or is already discarded
-      if (shouldExcludeFromAutoClose(tab, settings.settings, protectedDomains) || tab.discarded) {
-        continue;
-      }
-      
-      // Check if tab is inactive
-      const activity = tabActivity[tab.id];
-      if (!activity) {
-        // If no activity record, assume it's old and create one
-        await updateTabActivity(tab.id);
-        continue;
-      }
-      
-      const inactiveTime = now - activity.lastAccessed;
-      if (inactiveTime > timeoutMs) {
-        tabsToSuspend.push(tab);
-      }
-    }
-    
-    if (tabsToSuspend.length > 0) {
-      await processInactiveTabsForSuspension(tabsToSuspend, settings.settings);
+    if (!chrome.tabGroups) {
+      return [];
     }
     
+    const groups = await chrome.tabGroups.query({});
+    return groups.map(group => ({
+      id: group.id,
+      title: group.title || '',
+      color: group.color,
+      collapsed: group.collapsed,
+      windowId: group.windowId
+    }));
   } catch (error) {
-    console.error('Error checking inactive tabs:', error);
+    console.error('Error capturing tab groups:', error);
+    return [];
   }
 }
 
 /**
- * Determines if a tab should be excluded from auto-suspend
+ * Rebuilds native tab groups for freshly restored tabs
+ * @param {{tabData: object, tab: chrome.tabs.Tab}[]} restored - Stored records paired with created tabs
+ * @param {object[]} groupsData - Stored tab group records
+ * @param {number} windowId - Window the restored tabs live in
+ * @param {object} options - reuseOpenGroups adds tabs to a saved group that is still open
+ *   in the window (same id and title) instead of creating a new one
  */
-function shouldExcludeFromAutoClose(tab, settings, protectedDomains) {
-  // Always exclude special Chrome pages
-  if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-    return true;
-  }
-  
-  // Always exclude the active tab
-  if (tab.active) {
-    return true;
-  }
-  
-  // Exclude pinned tabs if setting is enabled
-  if (settings.excludePinnedFromAutoClose && tab.pinned) {
-    return true;
-  }
-  
-  // Exclude audible tabs (playing audio) if setting is enabled
-  if (settings.excludeAudibleFromAutoClose && tab.audible) {
-    return true;
+async function restoreTabGroups(restored, groupsData = [], windowId, { reuseOpenGroups = false } = {}) {
+  if (!chrome.tabGroups) {
+    return;
   }
   
-  // Exclude tabs with important states
-  if (tab.status === 'loading') {
-    return true;
+  const membership = new Map();
+  for (const { tabData, tab } of restored) {
+    // Pinned tabs cannot be grouped
+    if (typeof tabData.groupId === 'number' && tabData.groupId >= 0 && !tab.pinned) {
+      if (!membership.has(tabData.groupId)) {
+        membership.set(tabData.groupId, []);
+      }
+      membership.get(tabData.groupId).push(tab.id);
+    }
   }
   
-  // Exclude protected domains
-  if (protectedDomains.length > 0) {
+  for (const [savedGroupId, tabIds] of membership) {
     try {
-      const url = new URL(tab.url);
-      const domain = url.hostname;
+      const groupData = (groupsData || []).find(group => group.id === savedGroupId);
       
-      if (protectedDomains.some(protected => {
-        // Support wildcard matching
-        if (protected.startsWith('*.')) {
-          const baseDomain = protected.substring(2);
-          return domain.endsWith(baseDomain);
+      if (reuseOpenGroups && groupData) {
+        const openGroup = await chrome.tabGroups.get(savedGroupId).catch(() => null);
+        if (openGroup && openGroup.windowId === windowId && openGroup.title === groupData.title) {
+          await chrome.tabs.group({ groupId: savedGroupId, tabIds });
+          continue;
         }
-        return domain === protected;
-      })) {
-        return true;
+      }
+      
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      
+      if (groupData) {
+        await chrome.tabGroups.update(groupId, {
+          title: groupData.title || '',
+          color: groupData.color,
+          collapsed: !!groupData.collapsed
+        });
       }
     } catch (error) {
-      // Invalid URL, skip protection check
+      console.error(`Failed to restore tab group ${savedGroupId}:`, error);
     }
   }
-  
-  return false;
 }
 
 /**
- * Processes inactive tabs for suspension with optional notifications
+ * Builds chrome.windows.create data from a stored window record
+ * Bounds are only valid for the 'normal' state, other states are applied after creation
  */
-async function processInactiveTabsForSuspension(tabsToSuspend, settings) {
-  try {
-    if (settings.notifyBeforeAutoClose) {
-      // Show notification before suspending tabs
-      await showInactiveTabsNotification(tabsToSuspend.length, 'suspend');
-      
-      // Delay suspension to give user time to see notification
-      setTimeout(async () => {
-        await suspendInactiveTabs(tabsToSuspend);
-      }, 3000); // 3 second delay
-    } else {
-      // Suspend immediately without notification
-      await suspendInactiveTabs(tabsToSuspend);
+function getWindowCreateData(windowData) {
+  const createData = { focused: false };
+  
+  if (windowData) {
+    for (const key of ['left', 'top', 'width', 'height']) {
+      if (typeof windowData[key] === 'number') {
+        createData[key] = windowData[key];
+      }
     }
-  } catch (error) {
-    console.error('Error processing inactive tabs for suspension:', error);
   }
+  
+  return createData;
 }
 
 /**
- * Suspends (discards) inactive tabs to free memory while preserving tab state
+ * Restores stored tabs into windows matching their saved layout
+ * @param {object[]} tabsData - Stored tab records (with optional windowId/index)
+ * @param {object[]} windowsData - Stored window records
+ * @param {object} options - targetWindowId receives the first saved window's tabs,
+ *   every other saved window is recreated; groups holds stored tab group records;
+ *   activateTabs re-selects saved active tabs
+ * @returns {Promise<{createdTabs: chrome.tabs.Tab[], failedTabs: object[], windowIds: number[]}>}
  */
-async function suspendInactiveTabs(tabsToSuspend) {
-  try {
-    const tabIds = tabsToSuspend.map(tab => tab.id);
+async function restoreTabsByWindow(tabsData, windowsData = [], options = {}) {
+  const groups = groupTabsByWindow(tabsData, windowsData || []);
+  const activateTabs = options.activateTabs !== false;
+  const createdTabs = [];
+  const failedTabs = [];
+  const windowIds = [];
+  let focusWindowId = null;
+  
+  for (const [groupIndex, group] of groups.entries()) {
+    const useTargetWindow = groupIndex === 0 && options.targetWindowId;
+    let windowId = options.targetWindowId;
+    let placeholderTabIds = [];
+    
+    if (!useTargetWindow) {
+      const newWindow = await chrome.windows.create(getWindowCreateData(group.window));
+      windowId = newWindow.id;
+      // Chrome opens new windows with a blank tab that is dropped once real tabs exist
+      placeholderTabIds = (newWindow.tabs || []).map(tab => tab.id);
+    }
     
-    if (tabIds.length > 0) {
-      // Suspend the tabs using chrome.tabs.discard API
-      for (const tabId of tabIds) {
-        try {
-          await chrome.tabs.discard(tabId);
-        } catch (error) {
-          console.error(`Failed to suspend tab ${tabId}:`, error);
-        }
+    const result = await openTabsFromData(group.tabs, { windowId });
+    createdTabs.push(...result.createdTabs);
+    failedTabs.push(...result.failedTabs);
+    windowIds.push(windowId);
+    
+    if (placeholderTabIds.length > 0 && result.createdTabs.length > 0) {
+      await chrome.tabs.remove(placeholderTabIds);
+    }
+    
+    if (activateTabs) {
+      const activeEntry = result.restored.find(entry => entry.tabData.active);
+      if (activeEntry) {
+        await chrome.tabs.update(activeEntry.tab.id, { active: true });
       }
-      
-      // Update activity data to mark as suspended (don't clean up completely)
-      const { tabActivity = {} } = await chrome.storage.local.get('tabActivity');
-      for (const tabId of tabIds) {
-        if (tabActivity[tabId]) {
-          tabActivity[tabId].suspended = true;
-          tabActivity[tabId].suspendedAt = Date.now();
-        }
+    }
+    
+    await restoreTabGroups(result.restored, options.groups, windowId);
+    
+    const state = group.window?.state;
+    if (!useTargetWindow && state && state !== 'normal') {
+      try {
+        await chrome.windows.update(windowId, { state });
+      } catch (error) {
+        console.error(`Failed to apply window state "${state}":`, error);
       }
-      await chrome.storage.local.set({ tabActivity });
-      
-      console.log(`Auto-suspended ${tabIds.length} inactive tabs`);
     }
+    
+    if (group.window?.focused || (useTargetWindow && focusWindowId === null)) {
+      focusWindowId = windowId;
+    }
+  }
+  
+  if (focusWindowId !== null) {
+    await chrome.windows.update(focusWindowId, { focused: true });
+  }
+  
+  return { createdTabs, failedTabs, windowIds };
+}
+
+// Tab history management
+async function updateTabHistory(tab) {
+  try {
+    const { tabHistory = [] } = await chrome.storage.local.get('tabHistory');
+    
+    // Remove existing entry for this URL
+    const filteredHistory = tabHistory.filter(entry => entry.url !== tab.url);
+    
+    // Add new entry at the beginning
+    filteredHistory.unshift({
+      url: tab.url,
+      title: tab.title,
+      timestamp: Date.now(),
+      favicon: tab.favIconUrl
+    });
+    
+    // Keep only the latest entries based on settings
+    const settings = await chrome.storage.sync.get('settings');
+    const maxHistory = settings.settings?.maxTabHistory || 100;
+    if (filteredHistory.length > maxHistory) {
+      filteredHistory.splice(maxHistory);
+    }
+    
+    await chrome.storage.local.set({ tabHistory: filteredHistory });
   } catch (error) {
-    console.error('Error suspending inactive tabs:', error);
+    console.error('Error updating tab history:', error);
   }
 }
 
+// Tab activity tracking for auto-suspend inactive tabs
+// Records in tabActivity: { lastAccessed, lastActivated, createdAt, suspended, suspendedAt, engagement, lastInteraction }
+// where engagement is a decaying score (see TabUtils.getEngagementScore). Focus changes and
+// content script reports land at the same moment, so writes are queued to avoid lost updates.
+let tabActivityWriteQueue = Promise.resolve();
+
+function updateTabActivityStore(mutate) {
+  const write = tabActivityWriteQueue.then(async () => {
+    const { tabActivity = {} } = await chrome.storage.local.get('tabActivity');
+    if (mutate(tabActivity) !== false) {
+      await chrome.storage.local.set({ tabActivity });
+    }
+  });
+  tabActivityWriteQueue = write.catch(() => {});
+  return write;
+}
+
 /**
- * Shows notification about inactive tabs being suspended or closed
+ * Marks a tab as just used
+ * @param {number} tabId - Tab to update
+ * @param {object} options - activated: the user switched to the tab, which earns engagement
+ *   points and sets lastActivated (creating or loading a tab does neither)
  */
-async function showInactiveTabsNotification(count, action = 'suspend') {
+async function updateTabActivity(tabId, options = {}) {
   try {
-    const actionText = action === 'suspend' ? 'Suspending' : 'Closing';
-    const description = action === 'suspend' ? 
-      'due to inactivity. Click to restore when needed.' : 
-      'due to inactivity.';
+    const now = Date.now();
+    const points = options.activated ? TabUtils.ENGAGEMENT_FOCUS_POINTS : 0;
     
-    chrome.notifications.create({
-      type: 'basic',
-      iconUrl: 'icons/icon48.png',
-      title: 'GodTabs Auto-Suspend',
-      message: `${actionText} ${count} inactive tab${count > 1 ? 's' : ''} ${description}`
+    await updateTabActivityStore((tabActivity) => {
+      const previous = tabActivity[tabId] || {};
+      
+      // Update the last accessed time for this tab
+      tabActivity[tabId] = {
+        ...previous,
+        lastAccessed: now,
+        createdAt: previous.createdAt || now,
+        suspended: false, // Mark as active when accessed
+        suspendedAt: null,
+        lastActivated: options.activated ? now : previous.lastActivated ?? null,
+        engagement: points > 0 ? TabUtils.addEngagement(previous.engagement, points, now) : previous.engagement || null
+      };
     });
   } catch (error) {
-    console.error('Error showing inactive tabs notification:', error);
+    console.error('Error updating tab activity:', error);
   }
 }
 
 /**
- * Handles inactive tabs settings changes and reinitializes if needed
+ * Ingests a tabUpdate message from the content script
+ * activityUpdate reports carry the number of clicks, scrolls, keys and mouse moves since the last report
  */
-async function handleInactiveTabsSettingsChange(newSettings) {
+async function recordTabEngagement(tabId, data = {}) {
+  if (data.type !== 'activityUpdate' || !(data.score > 0)) {
+    return;
+  }
+  
+  const now = Date.now();
+  await updateTabActivityStore((tabActivity) => {
+    const previous = tabActivity[tabId];
+    // Tabs closed since the report was sent have no record left to update
+    if (!previous) {
+      return false;
+    }
+    
+    tabActivity[tabId] = {
+      ...previous,
+      engagement: TabUtils.addEngagement(previous.engagement, TabUtils.getInteractionPoints(data.score), now),
+      lastInteraction: Math.min(data.lastActivity || now, now)
+    };
+  });
+}
+
+async function cleanupTabActivity(tabId) {
   try {
-    console.log('Inactive tabs settings changed, reinitializing...');
+    await updateTabActivityStore((tabActivity) => {
+      if (!tabActivity[tabId]) {
+        return false;
+      }
+      delete tabActivity[tabId];
+    });
+  } catch (error) {
+    console.error('Error cleaning up tab activity:', error);
+  }
+}
+
+/**
+ * Ranks open tabs from least to most valuable by current engagement, then by last use
+ * Tabs that auto-suspend would never pick (see shouldExcludeFromAutoClose) are left out
+ * @param {number} limit - Maximum number of tabs returned
+ */
+async function getLeastValuableTabs(limit = 10) {
+  const [tabs, { tabActivity = {} }, { settings = {} }] = await Promise.all([
+    queryOpenTabs(),
+    chrome.storage.local.get('tabActivity'),
+    chrome.storage.sync.get('settings')
+  ]);
+  const now = Date.now();
+  
+  return tabs
+    .filter(tab => tab.url && !shouldExcludeFromAutoClose(tab, settings, settings.protectedDomains || []))
+    .map((tab) => {
+      const activity = tabActivity[tab.id] || {};
+      return {
+        id: tab.id,
+        windowId: tab.windowId,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        pinned: tab.pinned,
+        audible: tab.audible,
+        discarded: tab.discarded,
+        engagement: TabUtils.getEngagementScore(activity.engagement, now),
+        lastAccessed: activity.lastAccessed ?? tab.lastAccessed ?? null,
+        lastInteraction: activity.lastInteraction || null
+      };
+    })
+    .sort((a, b) => a.engagement - b.engagement || (a.lastAccessed ?? 0) - (b.lastAccessed ?? 0))
+    .slice(0, limit);
+}
+
+// Job scheduler
+// MV3 service workers are terminated when idle, which silently stops setInterval timers.
+// Periodic work is registered as a chrome.alarms alarm instead, and the schedule is
+// mirrored in storage.local so runs missed while the browser was closed can be caught up.
+const SCHEDULED_JOBS = {
+  sessionBackup: () => saveCurrentSession(),
+  autoSaveSnapshot: () => createWorkspaceSnapshot(),
+  inactiveTabSweep: () => checkAndCloseInactiveTabs(),
+  autoSaveCleanup: () => cleanupAutoSaveData(),
+  lazyTabLoad: () => loadQueuedTabs(),
+  heartbeat: () => recordHeartbeat()
+};
+const MIN_ALARM_PERIOD_MINUTES = 0.5; // Chrome clamps shorter alarm periods
+const INACTIVE_TAB_SWEEP_MINUTES = 5;
+const AUTO_SAVE_CLEANUP_MINUTES = 60;
+
+/**
+ * Registers (or re-registers) a periodic job, replacing any existing alarm of the same name
+ */
+async function scheduleJob(name, periodMinutes) {
+  const period = Math.max(periodMinutes, MIN_ALARM_PERIOD_MINUTES);
+  const { schedulerState = {} } = await chrome.storage.local.get('schedulerState');
+  
+  // chrome.alarms.create replaces an alarm with the same name, so timers never stack
+  await chrome.alarms.create(name, { delayInMinutes: period, periodInMinutes: period });
+  
+  schedulerState[name] = {
+    periodMinutes: period,
+    lastRun: schedulerState[name]?.lastRun || null,
+    scheduledAt: Date.now()
+  };
+  await chrome.storage.local.set({ schedulerState });
+}
+
+async function cancelJob(name) {
+  await chrome.alarms.clear(name);
+  
+  const { schedulerState = {} } = await chrome.storage.local.get('schedulerState');
+  if (schedulerState[name]) {
+    delete schedulerState[name];
+    await chrome.storage.local.set({ schedulerState });
+  }
+}
+
+/**
+ * Runs a scheduled job and records when it last ran
+ */
+async function runScheduledJob(name) {
+  const job = SCHEDULED_JOBS[name];
+  if (!job) {
+    return;
+  }
+  
+  try {
+    await job();
+  } catch (error) {
+    console.error(`Scheduled job "${name}" failed:`, error);
+  }
+  
+  const { schedulerState = {} } = await chrome.storage.local.get('schedulerState');
+  if (schedulerState[name]) {
+    schedulerState[name].lastRun = Date.now();
+    await chrome.storage.local.set({ schedulerState });
+  }
+}
+
+/**
+ * Runs each registered job once if its last run is older than its period,
+ * and re-creates alarms that were lost (e.g. across a browser restart)
+ */
+async function catchUpScheduledJobs() {
+  try {
+    const { schedulerState = {} } = await chrome.storage.local.get('schedulerState');
+    const now = Date.now();
     
-    // Clear existing timer
-    if (inactiveTabsTimer) {
-      clearInterval(inactiveTabsTimer);
-      inactiveTabsTimer = null;
+    for (const [name, state] of Object.entries(schedulerState)) {
+      const alarm = await chrome.alarms.get(name);
+      if (!alarm) {
+        await chrome.alarms.create(name, {
+          delayInMinutes: state.periodMinutes,
+          periodInMinutes: state.periodMinutes
+        });
+      }
+      
+      const lastRun = state.lastRun || state.scheduledAt;
+      if (now - lastRun >= state.periodMinutes * 60 * 1000) {
+        console.log(`Catching up missed scheduled job "${name}"`);
+        await runScheduledJob(name);
+      }
     }
+  } catch (error) {
+    console.error('Error catching up scheduled jobs:', error);
+  }
+}
+
+/**
+ * Registers or cancels every periodic job to match the given settings
+ */
+async function syncScheduledJobs(settings) {
+  try {
+    await scheduleSessionBackup(settings);
+    await initializeAutoSave();
+    await initializeInactiveTabCleanup();
+    await scheduleJob('autoSaveCleanup', AUTO_SAVE_CLEANUP_MINUTES);
+    await scheduleJob('heartbeat', HEARTBEAT_MINUTES);
+  } catch (error) {
+    console.error('Error syncing scheduled jobs:', error);
+  }
+}
+
+// Session backup scheduling
+async function scheduleSessionBackup(settings) {
+  const intervalMinutes = settings.sessionBackupInterval;
+  if (settings.enableAutoBackup && intervalMinutes > 0) {
+    await scheduleJob('sessionBackup', intervalMinutes);
+  } else {
+    await cancelJob('sessionBackup');
+  }
+}
+
+// Auto-save functionality
+let autoSaveInitMutex = false;
+const AUTO_SAVE_DEBOUNCE_MS = 5000; // Minimum time between auto-save attempts
+
+/**
+ * Initializes the auto-save system with efficient, non-blocking operation
+ * Registers the snapshot alarm and handles configuration changes gracefully
+ * Uses mutex pattern to prevent race conditions
+ */
+async function initializeAutoSave() {
+  // Prevent concurrent initialization
+  if (autoSaveInitMutex) {
+    console.log('Auto-save initialization already in progress, skipping');
+    return;
+  }
+  
+  autoSaveInitMutex = true;
+  
+  try {
+    // Get current settings with fallback defaults
+    const settings = await chrome.storage.sync.get('settings');
+    const interval = Math.max(settings.settings?.autoSaveInterval || 60, 10); // Minimum 10 seconds
     
-    // Reinitialize with new settings if enabled
-    if (newSettings.autoCloseInactiveTabs) {
-      await initializeInactiveTabCleanup();
-    } else {
-      console.log('Auto-close inactive tabs disabled by user settings');
+    // Only initialize if auto-save is enabled
+    if (!settings.settings?.autoSaveEnabled) {
+      await cancelJob('autoSaveSnapshot');
+      console.log('Auto-save is disabled, skipping initialization');
+      return;
     }
     
+    // Alarms cannot fire more often than every 30 seconds, so short intervals are clamped
+    await scheduleJob('autoSaveSnapshot', interval / 60);
+    
+    console.log(`Auto-save initialized with ${Math.max(interval, MIN_ALARM_PERIOD_MINUTES * 60)}s interval`);
   } catch (error) {
-    console.error('Error handling inactive tabs settings change:', error);
+    console.error('Error initializing auto-save:', error);
+  } finally {
+    autoSaveInitMutex = false;
   }
 }
 
-async function detectAndRecoverFromCrash() {
+/**
+ * Creates a workspace snapshot with efficient, atomic operation
+ * Prevents data corruption by using temporary storage and atomic swaps
+ * Implements debouncing to avoid excessive snapshot creation
+ */
+async function createWorkspaceSnapshot() {
+  // Check if auto-save is temporarily disabled due to failures
+  const now = Date.now();
+  if (autoSaveDisabledUntil > now) {
+    console.log(`Auto-save disabled until ${new Date(autoSaveDisabledUntil).toISOString()}, skipping snapshot`);
+    return;
+  }
+  
+  // Debounce: Skip if another save is in progress or too recent
+  if (isAutoSaveInProgress || (now - lastAutoSaveAttempt) < AUTO_SAVE_DEBOUNCE_MS) {
+    console.log('Auto-save skipped: operation in progress or too recent');
+    return;
+  }
+  
+  // Set flags to prevent concurrent operations
+  isAutoSaveInProgress = true;
+  lastAutoSaveAttempt = now;
+  
+  let tempSnapshot = null;
+  
   try {
-    const { extensionRunning } = await chrome.storage.local.get('extensionRunning');
+    // Step 1: Check if auto-save is still enabled (settings might have changed)
     const settings = await chrome.storage.sync.get('settings');
+    if (!settings.settings?.autoSaveEnabled) {
+      console.log('Auto-save disabled during snapshot creation, aborting');
+      return;
+    }
     
-    if (extensionRunning && settings.settings?.enableCrashRecovery) {
-      console.log('Crash detected - extension was running during shutdown');
-      
-      // Check if auto-restore is enabled
-      if (settings.settings?.autoRestoreOnStartup) {
-        await restoreWorkspacesFromSnapshots();
-      } else if (settings.settings?.showRecoveryNotifications) {
-        // Show notification about available recovery data
-        chrome.notifications.create({
-          type: 'basic',
-          iconUrl: 'icons/icon48.png',
-          title: 'GodTabs Recovery Available',
-          message: 'Workspace recovery data is available. Open GodTabs to restore your workspaces.'
-        });
+    // Step 2: Gather data efficiently using Promise.all for parallel operations
+    const [tabs, workspaces, windows, groups, livenessSessionId] = await Promise.all([
+      queryOpenTabs(),
+      chrome.storage.local.get('workspaces'),
+      captureWindowLayout(),
+      captureTabGroups(),
+      getLivenessSessionId()
+    ]);
+    
+    // Step 3: Filter and process tabs efficiently
+    const validTabs = tabs.filter(isSnapshotTab);
+    
+    // Step 4: Create snapshot object with comprehensive metadata
+    const snapshotId = `snapshot_${now}_${Math.random().toString(36).substr(2, 9)}`;
+    tempSnapshot = {
+      id: snapshotId,
+      timestamp: now,
+      sessionId: `session_${now}`,
+      livenessSessionId, // Window ids are only meaningful within this browser session
+      version: '1.1', // Updated version for new format
+      workspaces: workspaces.workspaces || [],
+      windows: windows.filter(win => validTabs.some(tab => tab.windowId === win.id)),
+      groups,
+      tabs: validTabs.map(toTabRecord),
+      metadata: {
+        totalTabs: validTabs.length,
+        totalWorkspaces: (workspaces.workspaces || []).length,
+        userAgent: navigator.userAgent,
+        extensionVersion: chrome.runtime.getManifest().version,
+        createdAt: new Date(now).toISOString(),
+        platform: 'chrome-extension'
       }
+    };
+    
+    // Step 5: Validate snapshot integrity before saving
+    if (!validateWorkspaceSnapshot(tempSnapshot)) {
+      throw new Error('Snapshot validation failed');
     }
+    
+    // Step 6: Save using atomic operation to prevent corruption
+    await saveWorkspaceSnapshotAtomic(tempSnapshot);
+    
+    console.log(`Auto-save completed successfully: ${snapshotId} (${validTabs.length} tabs, ${(workspaces.workspaces || []).length} workspaces)`);
+    
   } catch (error) {
-    console.error('Error during crash detection:', error);
-  }
+    console.error('Error creating workspace snapshot:', error);
+    
+    // Step 7: Attempt cleanup of any partial data if temp snapshot was created
+    if (tempSnapshot) {
+      try {
+        await cleanupFailedSnapshot(tempSnapshot.id);
+      } catch (cleanupError) {
+        console.error('Failed to cleanup after snapshot error:', cleanupError);
+      }
+    }
+    
+    // Optional: Disable auto-save temporarily if there are repeated failures
+    await handleAutoSaveFailure(error);
+    
+  } finally {
+    // Always reset the progress flag
+    isAutoSaveInProgress = false;
+  }
+}
+
+/**
+ * Enhanced snapshot validation with comprehensive checks
+ * Ensures data integrity before storage operations
+ */
+function validateWorkspaceSnapshot(snapshot) {
+  try {
+    // Basic structure validation
+    if (!snapshot || typeof snapshot !== 'object') {
+      console.error('Snapshot validation failed: invalid snapshot object');
+      return false;
+    }
+    
+    // Required field validation
+    const requiredFields = ['id', 'timestamp', 'sessionId', 'version', 'workspaces', 'tabs', 'metadata'];
+    for (const field of requiredFields) {
+      if (!(field in snapshot)) {
+        console.error(`Snapshot validation failed: missing required field '${field}'`);
+        return false;
+      }
+    }
+    
+    // Type validation
+    if (!Array.isArray(snapshot.workspaces)) {
+      console.error('Snapshot validation failed: workspaces must be an array');
+      return false;
+    }
+    
+    if (!Array.isArray(snapshot.tabs)) {
+      console.error('Snapshot validation failed: tabs must be an array');
+      return false;
+    }
+    
+    if (typeof snapshot.timestamp !== 'number' || snapshot.timestamp <= 0) {
+      console.error('Snapshot validation failed: invalid timestamp');
+      return false;
+    }
+    
+    // Data size validation (prevent excessive memory usage)
+    const maxTabs = 1000;
+    const maxWorkspaces = 100;
+    
+    if (snapshot.tabs.length > maxTabs) {
+      console.warn(`Snapshot has ${snapshot.tabs.length} tabs, exceeding maximum of ${maxTabs}`);
+      return false;
+    }
+    
+    if (snapshot.workspaces.length > maxWorkspaces) {
+      console.warn(`Snapshot has ${snapshot.workspaces.length} workspaces, exceeding maximum of ${maxWorkspaces}`);
+      return false;
+    }
+    
+    // Tab validation
+    for (const tab of snapshot.tabs) {
+      if (!tab.url || typeof tab.url !== 'string') {
+        console.error('Snapshot validation failed: tab missing valid URL');
+        return false;
+      }
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error during snapshot validation:', error);
+    return false;
+  }
+}
+
+// Snapshot store
+// Autosave snapshots are kept as chains: a full base snapshot followed by deltas
+// (WorkspaceUtils.createSnapshotDelta), each under its own storage key. The small
+// snapshotIndex (oldest first) is the only shared key rewritten on each save.
+const SNAPSHOT_KEY_PREFIX = 'snapshot_';
+const SNAPSHOT_COMPACT_EVERY = 12; // Deltas in a chain before a fresh base is written
+const DEFAULT_SNAPSHOT_BUDGET_MB = 4; // chrome.storage.local allows 10 MB without unlimitedStorage
+let latestSnapshotCache = null; // Latest rebuilt snapshot, so saves do not replay the chain
+let legacySnapshotMigration = null;
+
+/**
+ * Converts the pre-delta autoSaveSnapshots array (full copies, newest first) into bases
+ */
+function migrateLegacySnapshots() {
+  if (!legacySnapshotMigration) {
+    legacySnapshotMigration = (async () => {
+      const { autoSaveSnapshots } = await chrome.storage.local.get('autoSaveSnapshots');
+      if (!Array.isArray(autoSaveSnapshots)) {
+        return;
+      }
+      
+      const legacy = autoSaveSnapshots.filter(snapshot => snapshot?.id).reverse();
+      const data = Object.fromEntries(legacy.map(snapshot => [`${SNAPSHOT_KEY_PREFIX}${snapshot.id}`, snapshot]));
+      const index = legacy.map(snapshot => {
+        const bytes = JSON.stringify(snapshot).length;
+        return {
+          id: snapshot.id,
+          timestamp: snapshot.timestamp,
+          kind: 'base',
+          key: `${SNAPSHOT_KEY_PREFIX}${snapshot.id}`,
+          bytes,
+          fullBytes: bytes,
+          metadata: snapshot.metadata
+        };
+      });
+      
+      await chrome.storage.local.set({ ...data, snapshotIndex: index });
+      await chrome.storage.local.remove('autoSaveSnapshots');
+      console.log(`Migrated ${index.length} autosave snapshots to the snapshot store`);
+    })();
+  }
+  return legacySnapshotMigration;
+}
+
+async function getSnapshotIndex() {
+  await migrateLegacySnapshots();
+  const { snapshotIndex = [] } = await chrome.storage.local.get('snapshotIndex');
+  return snapshotIndex;
+}
+
+/**
+ * Rebuilds the full autosave snapshots from their chains
+ * @returns {Promise<object[]>} Snapshots, newest first
+ */
+async function getAutoSaveSnapshots() {
+  const index = await getSnapshotIndex();
+  if (index.length === 0) {
+    return [];
+  }
+  
+  const stored = await chrome.storage.local.get(index.map(entry => entry.key));
+  const snapshots = [];
+  let state = null;
+  
+  for (const entry of index) {
+    const data = stored[entry.key];
+    
+    if (!data) {
+      // A broken link invalidates the rest of its chain until the next base
+      console.error(`Snapshot data missing: ${entry.id}`);
+      state = null;
+    } else if (entry.kind === 'base') {
+      state = data;
+    } else if (state) {
+      state = WorkspaceUtils.applySnapshotDelta(state, data);
+    }
+    
+    if (state && state.id === entry.id) {
+      snapshots.unshift(state);
+    }
+  }
+  
+  latestSnapshotCache = snapshots[0]?.id === index[index.length - 1].id ? snapshots[0] : null;
+  return snapshots;
+}
+
+/**
+ * Returns the newest snapshot, rebuilding it when the cache no longer matches the index
+ * (storage may have been reset, imported or restored by an undo since it was filled)
+ */
+async function getLatestSnapshot(index = null) {
+  const snapshotIndex = index || await getSnapshotIndex();
+  
+  if (!latestSnapshotCache || latestSnapshotCache.id !== snapshotIndex[snapshotIndex.length - 1]?.id) {
+    latestSnapshotCache = null;
+    await getAutoSaveSnapshots();
+  }
+  return latestSnapshotCache;
+}
+
+/**
+ * Encodes a snapshot as a delta on the previous one, or as a base when there is no
+ * previous snapshot, the chain is long or the delta is not much smaller than the snapshot
+ * @param {object|null} previous - Snapshot the delta would apply to
+ * @param {number} chainLength - Deltas since the last base
+ */
+function encodeSnapshot(previous, snapshot, chainLength) {
+  const fullBytes = JSON.stringify(snapshot).length;
+  
+  if (previous && chainLength < SNAPSHOT_COMPACT_EVERY) {
+    const delta = WorkspaceUtils.createSnapshotDelta(previous, snapshot);
+    const bytes = JSON.stringify(delta).length;
+    
+    if (bytes < fullBytes / 2) {
+      return { kind: 'delta', data: delta, bytes, fullBytes };
+    }
+  }
+  
+  return { kind: 'base', data: snapshot, bytes: fullBytes, fullBytes };
+}
+
+function getChainLength(index) {
+  const lastBase = index.map(entry => entry.kind).lastIndexOf('base');
+  return lastBase === -1 ? Infinity : index.length - 1 - lastBase;
+}
+
+/**
+ * Stores a snapshot at the end of the current chain, then applies retention.
+ * Nothing is written when the state did not change since the previous snapshot.
+ * @returns {Promise<boolean>} Whether a snapshot was written
+ */
+async function saveWorkspaceSnapshotAtomic(snapshot) {
+  const key = `${SNAPSHOT_KEY_PREFIX}${snapshot.id}`;
+  
+  // Step 1: Get the chain
+  const index = await getSnapshotIndex();
+  const previous = await getLatestSnapshot(index);
+  
+  // Step 2: Skip the write entirely when nothing changed
+  if (previous && !WorkspaceUtils.hasSnapshotChanged(previous, snapshot)) {
+    console.log('Auto-save skipped: nothing changed since the last snapshot');
+    resetAutoSaveFailureTracking();
+    return false;
+  }
+  
+  const { kind, data, bytes, fullBytes } = encodeSnapshot(previous, snapshot, getChainLength(index));
+  
+  try {
+    // Step 3: Write the snapshot data under its own key and verify it
+    await chrome.storage.local.set({ [key]: data });
+    
+    const verification = await chrome.storage.local.get(key);
+    if (!verification[key]) {
+      throw new Error('Snapshot data save verification failed');
+    }
+    
+    // Step 4: Commit by appending to the index
+    const entry = { id: snapshot.id, timestamp: snapshot.timestamp, kind, key, bytes, fullBytes, metadata: snapshot.metadata };
+    await chrome.storage.local.set({ snapshotIndex: [...index, entry] });
+    latestSnapshotCache = snapshot;
+  } catch (error) {
+    // Cleanup uncommitted data on error
+    try {
+      await chrome.storage.local.remove(key);
+    } catch (cleanupError) {
+      console.error('Failed to cleanup uncommitted snapshot:', cleanupError);
+    }
+    
+    throw new Error(`Atomic snapshot save failed: ${error.message}`);
+  }
+  
+  // Step 5: Thin out older snapshots
+  let removed = 0;
+  try {
+    removed = await applySnapshotRetention();
+  } catch (error) {
+    console.error('Failed to apply snapshot retention:', error);
+  }
+  
+  // Step 6: Reset failure tracking on successful save
+  resetAutoSaveFailureTracking();
+  
+  console.log(`Snapshot saved as ${kind}: ${snapshot.id} (${index.length + 1 - removed} snapshots kept)`);
+  return true;
+}
+
+/**
+ * Thins the snapshot store with grandfather-father-son retention (see
+ * WorkspaceUtils.selectRetainedSnapshots), then drops the oldest survivors until
+ * the estimated size fits the storage budget
+ * @returns {Promise<number>} Number of snapshots dropped
+ */
+async function applySnapshotRetention() {
+  const [index, { settings = {} }] = await Promise.all([
+    getSnapshotIndex(),
+    chrome.storage.sync.get('settings')
+  ]);
+  
+  const keepIds = WorkspaceUtils.selectRetainedSnapshots(index, {
+    keepAllHours: settings.snapshotRetentionKeepAllHours,
+    hourlyDays: settings.snapshotRetentionHourlyDays,
+    dailyDays: settings.snapshotRetentionDailyDays,
+    weeklyWeeks: settings.snapshotRetentionWeeklyWeeks
+  });
+  
+  // Estimate: kept entries keep their size, except the oldest which becomes a base
+  const budgetBytes = (settings.snapshotStorageBudgetMB || DEFAULT_SNAPSHOT_BUDGET_MB) * 1024 * 1024;
+  const kept = index.filter(entry => keepIds.has(entry.id));
+  let estimate = kept.reduce((total, entry) => total + (entry.bytes || 0), 0);
+  
+  while (kept.length > 1 && estimate + (kept[0].fullBytes || 0) - (kept[0].bytes || 0) > budgetBytes) {
+    const dropped = kept.shift();
+    keepIds.delete(dropped.id);
+    estimate -= dropped.bytes || 0;
+  }
+  
+  return pruneSnapshots(keepIds);
+}
+
+/**
+ * Removes every snapshot not in keepIds
+ * Compaction: a kept delta whose predecessor is dropped is re-encoded against the
+ * previous kept snapshot (or as a base) under a new key, so the chain stays intact
+ * and the index never references data that is already gone.
+ * @param {Set<string>} keepIds - Ids of the snapshots to keep
+ * @returns {Promise<number>} Number of snapshots dropped
+ */
+async function pruneSnapshots(keepIds) {
+  const index = await getSnapshotIndex();
+  
+  if (index.every(entry => keepIds.has(entry.id))) {
+    return 0;
+  }
+  
+  const needsRebuild = index.some((entry, i) =>
+    keepIds.has(entry.id) && entry.kind === 'delta' && (i === 0 || !keepIds.has(index[i - 1].id)));
+  const snapshots = needsRebuild ? new Map((await getAutoSaveSnapshots()).map(s => [s.id, s])) : null;
+  
+  const kept = [];
+  const written = {};
+  const droppedKeys = [];
+  
+  index.forEach((entry, i) => {
+    if (!keepIds.has(entry.id)) {
+      droppedKeys.push(entry.key);
+      return;
+    }
+    
+    if (entry.kind === 'base' || (i > 0 && kept[kept.length - 1]?.id === index[i - 1].id)) {
+      kept.push(entry);
+      return;
+    }
+    
+    const snapshot = snapshots.get(entry.id);
+    if (!snapshot) {
+      console.error(`Dropping snapshot ${entry.id}: its chain is broken`);
+      droppedKeys.push(entry.key);
+      return;
+    }
+    
+    const previous = kept.length > 0 ? snapshots.get(kept[kept.length - 1].id) : null;
+    const encoded = encodeSnapshot(previous, snapshot, getChainLength(kept));
+    const key = `${SNAPSHOT_KEY_PREFIX}${entry.id}_r${Date.now()}`;
+    
+    written[key] = encoded.data;
+    droppedKeys.push(entry.key);
+    kept.push({ ...entry, kind: encoded.kind, key, bytes: encoded.bytes, fullBytes: encoded.fullBytes });
+  });
+  
+  // Write re-encoded data before the index points at it, and remove old data after
+  if (Object.keys(written).length > 0) {
+    await chrome.storage.local.set(written);
+  }
+  await chrome.storage.local.set({ snapshotIndex: kept });
+  await chrome.storage.local.remove(droppedKeys);
+  
+  if (kept.length === 0) {
+    latestSnapshotCache = null;
+  }
+  
+  return index.length - kept.length;
+}
+
+async function clearAutoSaveData() {
+  const index = await getSnapshotIndex();
+  
+  await chrome.storage.local.set({ snapshotIndex: [] });
+  await chrome.storage.local.remove(index.map(entry => entry.key));
+  latestSnapshotCache = null;
+}
+
+/**
+ * Legacy snapshot saving function - kept for backward compatibility
+ * @deprecated Use saveWorkspaceSnapshotAtomic instead
+ */
+async function saveWorkspaceSnapshot(snapshot) {
+  console.warn('Using deprecated saveWorkspaceSnapshot - consider upgrading to saveWorkspaceSnapshotAtomic');
+  return saveWorkspaceSnapshotAtomic(snapshot);
+}
+
+/**
+ * Cleans up failed snapshot data to prevent storage pollution
+ * Removes snapshot data that never made it into the index
+ */
+async function cleanupFailedSnapshot(snapshotId) {
+  try {
+    const key = `${SNAPSHOT_KEY_PREFIX}${snapshotId}`;
+    const index = await getSnapshotIndex();
+    
+    if (!index.some(entry => entry.key === key)) {
+      await chrome.storage.local.remove(key);
+    }
+  } catch (error) {
+    console.error(`Failed to cleanup snapshot ${snapshotId}:`, error);
+  }
+}
+
+/**
+ * Handles auto-save failures with intelligent retry and fallback mechanisms
+ * Implements exponential backoff and temporary disabling for repeated failures
+ */
+let autoSaveFailureCount = 0;
+let autoSaveDisabledUntil = 0;
+const MAX_CONSECUTIVE_FAILURES = 3;
+const FAILURE_TIMEOUT_MS = 300000; // 5 minutes
+
+async function handleAutoSaveFailure(error) {
+  try {
+    autoSaveFailureCount++;
+    const now = Date.now();
+    
+    console.error(`Auto-save failure #${autoSaveFailureCount}:`, error.message);
+    
+    // If we've had too many consecutive failures, temporarily disable auto-save
+    if (autoSaveFailureCount >= MAX_CONSECUTIVE_FAILURES) {
+      // The alarm keeps firing; createWorkspaceSnapshot skips runs until the timeout passes
+      autoSaveDisabledUntil = now + FAILURE_TIMEOUT_MS;
+      
+      console.warn(`Auto-save temporarily disabled due to ${autoSaveFailureCount} consecutive failures. Will re-enable at ${new Date(autoSaveDisabledUntil).toISOString()}`);
+      
+    } else {
+      // For sporadic failures, just log and continue
+      console.log(`Auto-save will continue, failure count: ${autoSaveFailureCount}/${MAX_CONSECUTIVE_FAILURES}`);
+    }
+    
+  } catch (handlingError) {
+    console.error('Error while handling auto-save failure:', handlingError);
+  }
+}
+
+/**
+ * Resets auto-save failure tracking when a successful save occurs
+ * Called internally by saveWorkspaceSnapshotAtomic on success
+ */
+function resetAutoSaveFailureTracking() {
+  if (autoSaveFailureCount > 0) {
+    console.log(`Auto-save recovered after ${autoSaveFailureCount} failures`);
+    autoSaveFailureCount = 0;
+    autoSaveDisabledUntil = 0;
+  }
+}
+
+/**
+ * Manually triggers an auto-save snapshot creation
+ * Can be called from popup or options page for immediate backup
+ */
+async function triggerManualAutoSave() {
+  try {
+    console.log('Manual auto-save triggered');
+    
+    // Temporarily reset failure tracking for manual saves
+    const originalFailureCount = autoSaveFailureCount;
+    autoSaveFailureCount = 0;
+    autoSaveDisabledUntil = 0;
+    
+    await createWorkspaceSnapshot();
+    
+    console.log('Manual auto-save completed successfully');
+    return { success: true, message: 'Auto-save completed successfully' };
+    
+  } catch (error) {
+    // Restore original failure count if manual save fails
+    autoSaveFailureCount = originalFailureCount;
+    
+    console.error('Manual auto-save failed:', error);
+    return { success: false, message: `Auto-save failed: ${error.message}` };
+  }
+}
+
+/**
+ * Handles auto-save settings changes and reinitializes if needed
+ * Called when user changes auto-save settings in options page
+ */
+async function handleAutoSaveSettingsChange(newSettings) {
+  try {
+    console.log('Auto-save settings changed, reinitializing...');
+    
+    // Reset failure tracking on settings change
+    resetAutoSaveFailureTracking();
+    
+    // Re-registers the snapshot alarm, or cancels it if auto-save was disabled
+    await initializeAutoSave();
+    
+    if (!newSettings.autoSaveEnabled) {
+      console.log('Auto-save disabled by user settings');
+    }
+    
+  } catch (error) {
+    console.error('Error handling auto-save settings change:', error);
+  }
+}
+
+// Inactive tabs cleanup functionality
+let inactiveTabsInitMutex = false;
+
+/**
+ * Initializes the inactive tabs cleanup system
+ * Registers a periodic alarm to suspend tabs that exceed the inactivity timeout
+ * Uses mutex pattern to prevent race conditions
+ */
+async function initializeInactiveTabCleanup() {
+  // Prevent concurrent initialization
+  if (inactiveTabsInitMutex) {
+    console.log('Inactive tabs cleanup initialization already in progress, skipping');
+    return;
+  }
+  
+  inactiveTabsInitMutex = true;
+  
+  try {
+    const settings = await chrome.storage.sync.get('settings');
+    
+    // Only initialize if auto-suspend is enabled
+    if (!settings.settings?.autoCloseInactiveTabs) {
+      await cancelJob('inactiveTabSweep');
+      console.log('Auto-suspend inactive tabs is disabled, skipping initialization');
+      return;
+    }
+    
+    // Check for inactive tabs every 5 minutes
+    await scheduleJob('inactiveTabSweep', INACTIVE_TAB_SWEEP_MINUTES);
+    
+    console.log('Inactive tabs cleanup initialized with 5-minute check interval');
+  } catch (error) {
+    console.error('Error initializing inactive tabs cleanup:', error);
+  } finally {
+    inactiveTabsInitMutex = false;
+  }
+}
+
+/**
+ * Checks for inactive tabs and suspends them based on user settings
+ * Implements smart exclusions for pinned tabs, audio tabs, and protected domains;
+ * the timeout is stretched for tabs with a high engagement score
+ */
+async function checkAndCloseInactiveTabs() {
+  try {
+    const settings = await chrome.storage.sync.get('settings');
+    
+    // Double-check if feature is still enabled
+    if (!settings.settings?.autoCloseInactiveTabs) {
+      return;
+    }
+    
+    const timeoutMinutes = settings.settings?.inactiveTabTimeoutMinutes || 60;
+    const timeoutMs = timeoutMinutes * 60 * 1000;
+    const now = Date.now();
+    
+    // Get all tabs and activity data
+    const [tabs, { tabActivity = {} }] = await Promise.all([
+      queryOpenTabs(),
+      chrome.storage.local.get('tabActivity')
+    ]);
+    
+    const tabsToSuspend = [];
+    const protectedDomains = settings.settings?.protectedDomains || [];
+    
+    for (const tab of tabs) {
+      // Skip if tab should be excluded or is already discarded
+      if (shouldExcludeFromAutoClose(tab, settings.settings, protectedDomains) || tab.discarded) {
+        continue;
+      }
+      
+      // Check if tab is inactive
+      const activity = tabActivity[tab.id];
+      if (!activity) {
+        // If no activity record, assume it's old and create one
+        await updateTabActivity(tab.id);
+        continue;
+      }
+      
+      // Tabs the user engaged with get longer before they count as inactive
+      const inactiveTime = now - Math.max(activity.lastAccessed, activity.lastInteraction || 0);
+      const engagement = TabUtils.getEngagementScore(activity.engagement, now);
+      if (inactiveTime > TabUtils.getInactivityTimeout(timeoutMs, engagement)) {
+        tabsToSuspend.push(tab);
+      }
+    }
+    
+    if (tabsToSuspend.length > 0) {
+      await processInactiveTabsForSuspension(tabsToSuspend, settings.settings);
+    }
+    
+  } catch (error) {
+    console.error('Error checking inactive tabs:', error);
+  }
+}
+
+/**
+ * Determines if a tab should be excluded from auto-suspend
+ */
+function shouldExcludeFromAutoClose(tab, settings, protectedDomains) {
+  // Always exclude special Chrome pages
+  if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+    return true;
+  }
+  
+  // Always exclude the active tab
+  if (tab.active) {
+    return true;
+  }
+  
+  // Exclude pinned tabs if setting is enabled
+  if (settings.excludePinnedFromAutoClose && tab.pinned) {
+    return true;
+  }
+  
+  // Exclude audible tabs (playing audio) if setting is enabled
+  if (settings.excludeAudibleFromAutoClose && tab.audible) {
+    return true;
+  }
+  
+  // Exclude tabs with important states
+  if (tab.status === 'loading') {
+    return true;
+  }
+  
+  // Exclude protected domains
+  if (protectedDomains.length > 0) {
+    try {
+      const url = new URL(tab.url);
+      const domain = url.hostname;
+      
+      if (protectedDomains.some(protected => {
+        // Support wildcard matching
+        if (protected.startsWith('*.')) {
+          const baseDomain = protected.substring(2);
+          return domain.endsWith(baseDomain);
+        }
+        return domain === protected;
+      })) {
+        return true;
+      }
+    } catch (error) {
+      // Invalid URL, skip protection check
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Processes inactive tabs for suspension with optional notifications
+ */
+async function processInactiveTabsForSuspension(tabsToSuspend, settings) {
+  try {
+    if (settings.notifyBeforeAutoClose) {
+      // Show notification before suspending tabs
+      await showInactiveTabsNotification(tabsToSuspend.length, 'suspend');
+      
+      // Delay suspension to give user time to see notification
+      setTimeout(async () => {
+        await suspendInactiveTabs(tabsToSuspend, { automatic: true });
+      }, 3000); // 3 second delay
+    } else {
+      // Suspend immediately without notification
+      await suspendInactiveTabs(tabsToSuspend, { automatic: true });
+    }
+  } catch (error) {
+    console.error('Error processing inactive tabs for suspension:', error);
+  }
+}
+
+/**
+ * Suspends (discards) inactive tabs to free memory while preserving tab state
+ */
+async function suspendInactiveTabs(tabsToSuspend, options = {}) {
+  try {
+    const tabIds = tabsToSuspend.map(tab => tab.id);
+    
+    if (tabIds.length > 0) {
+      // Suspend the tabs using chrome.tabs.discard API
+      for (const tabId of tabIds) {
+        try {
+          await chrome.tabs.discard(tabId);
+        } catch (error) {
+          console.error(`Failed to suspend tab ${tabId}:`, error);
+        }
+      }
+      
+      // Update activity data to mark as suspended (don't clean up completely)
+      await updateTabActivityStore((tabActivity) => {
+        for (const tabId of tabIds) {
+          if (tabActivity[tabId]) {
+            tabActivity[tabId].suspended = true;
+            tabActivity[tabId].suspendedAt = Date.now();
+          }
+        }
+      });
+      await recordUndo('suspendTabs', `Suspended ${tabIds.length} ${options.automatic ? 'inactive ' : ''}tabs`, { tabIds }, options);
+      
+      console.log(`Auto-suspended ${tabIds.length} inactive tabs`);
+    }
+  } catch (error) {
+    console.error('Error suspending inactive tabs:', error);
+  }
+}
+
+/**
+ * Shows notification about inactive tabs being suspended or closed
+ */
+async function showInactiveTabsNotification(count, action = 'suspend') {
+  try {
+    const actionText = action === 'suspend' ? 'Suspending' : 'Closing';
+    const description = action === 'suspend' ? 
+      'due to inactivity. Click to restore when needed.' : 
+      'due to inactivity.';
+    
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'GodTabs Auto-Suspend',
+      message: `${actionText} ${count} inactive tab${count > 1 ? 's' : ''} ${description}`
+    });
+  } catch (error) {
+    console.error('Error showing inactive tabs notification:', error);
+  }
+}
+
+/**
+ * Handles inactive tabs settings changes and reinitializes if needed
+ */
+async function handleInactiveTabsSettingsChange(newSettings) {
+  try {
+    console.log('Inactive tabs settings changed, reinitializing...');
+    
+    // Re-registers the sweep alarm, or cancels it if the feature was disabled
+    await initializeInactiveTabCleanup();
+    
+    if (!newSettings.autoCloseInactiveTabs) {
+      console.log('Auto-close inactive tabs disabled by user settings');
+    }
+    
+  } catch (error) {
+    console.error('Error handling inactive tabs settings change:', error);
+  }
+}
+
+// Crash detection
+// A liveness record in storage.local carries the current browser session's id, a heartbeat
+// and a clean-shutdown marker. Extensions get no browser shutdown event, so the marker is set
+// when the last window closes. chrome.storage.session is cleared when the browser or the
+// extension restarts, which tells a worker restart apart from a new session.
+const HEARTBEAT_MINUTES = 1;
+const MAX_INCIDENTS = 50;
+
+const INCIDENT_TYPES = {
+  browserCrash: 'Browser crash',
+  extensionUpdate: 'Extension update'
+};
+
+async function getLivenessRecord() {
+  const { liveness = null } = await chrome.storage.local.get('liveness');
+  return liveness;
+}
+
+/**
+ * Id of the browser session this liveness record belongs to, or null before one was begun
+ */
+async function getLivenessSessionId() {
+  const { livenessSessionId = null } = await chrome.storage.session.get('livenessSessionId');
+  return livenessSessionId;
+}
+
+/**
+ * Starts a fresh liveness record for the current browser session
+ * Called after the previous record has been classified
+ */
+async function beginLivenessSession() {
+  const now = Date.now();
+  const sessionId = `liveness_${now}`;
+  
+  await chrome.storage.session.set({ livenessSessionId: sessionId });
+  await chrome.storage.local.set({
+    liveness: {
+      sessionId,
+      startedAt: now,
+      lastHeartbeat: now,
+      version: chrome.runtime.getManifest().version,
+      cleanShutdown: false,
+      shutdownAt: null
+    }
+  });
+}
+
+async function recordHeartbeat() {
+  const [liveness, sessionId] = await Promise.all([getLivenessRecord(), getLivenessSessionId()]);
+  
+  // No session yet: the extension was re-enabled without a startup or install event
+  if (!sessionId || liveness?.sessionId !== sessionId) {
+    await beginLivenessSession();
+    return;
+  }
+  
+  liveness.lastHeartbeat = Date.now();
+  await chrome.storage.local.set({ liveness });
+}
+
+/**
+ * Sets the clean-shutdown marker once no normal window is left
+ * On platforms where the browser keeps running without windows, opening a window clears it again
+ */
+async function markShutdownIfLastWindow() {
+  try {
+    const remainingWindows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+    const [liveness, sessionId] = await Promise.all([getLivenessRecord(), getLivenessSessionId()]);
+    
+    if (remainingWindows.length === 0 && liveness && liveness.sessionId === sessionId) {
+      await chrome.storage.local.set({
+        liveness: { ...liveness, cleanShutdown: true, shutdownAt: Date.now() }
+      });
+    }
+  } catch (error) {
+    console.error('Error recording clean shutdown:', error);
+  }
+}
+
+async function clearShutdownMarker() {
+  try {
+    const [liveness, sessionId] = await Promise.all([getLivenessRecord(), getLivenessSessionId()]);
+    
+    // Windows restored at browser start arrive before the previous session was classified
+    if (liveness?.cleanShutdown && liveness.sessionId === sessionId) {
+      await chrome.storage.local.set({
+        liveness: { ...liveness, cleanShutdown: false, shutdownAt: null }
+      });
+    }
+  } catch (error) {
+    console.error('Error clearing shutdown marker:', error);
+  }
+}
+
+/**
+ * Classifies how the previous session ended and logs it when it did not end cleanly
+ * @param {string} cause - 'browserStart' or 'extensionUpdate'
+ * @returns {Promise<object|null>} The logged incident, or null after a clean shutdown
+ */
+async function classifyPreviousSession(cause, previousVersion = null) {
+  const [liveness, sessionId] = await Promise.all([getLivenessRecord(), getLivenessSessionId()]);
+  
+  // First run, a clean shutdown, or already classified (an update applied at browser
+  // start fires both onStartup and onInstalled)
+  if (!liveness || liveness.cleanShutdown || liveness.classified || liveness.sessionId === sessionId) {
+    return null;
+  }
+  
+  await chrome.storage.local.set({ liveness: { ...liveness, classified: true } });
+  
+  const version = chrome.runtime.getManifest().version;
+  const type = cause === 'extensionUpdate' || liveness.version !== version ? 'extensionUpdate' : 'browserCrash';
+  
+  return logIncident({
+    type,
+    lastSeenAt: liveness.lastHeartbeat,
+    sessionStartedAt: liveness.startedAt,
+    previousVersion: previousVersion || liveness.version,
+    version
+  });
+}
+
+async function getIncidentLog() {
+  const { incidentLog = [] } = await chrome.storage.local.get('incidentLog');
+  return incidentLog;
+}
+
+async function logIncident(details) {
+  const incident = {
+    id: `incident_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    detectedAt: Date.now(),
+    label: INCIDENT_TYPES[details.type],
+    recovery: 'none',
+    ...details
+  };
+  
+  const incidentLog = [incident, ...await getIncidentLog()].slice(0, MAX_INCIDENTS);
+  await chrome.storage.local.set({ incidentLog });
+  console.log(`Incident detected: ${incident.label}`);
+  return incident;
+}
+
+async function updateIncident(incidentId, changes) {
+  const incidentLog = await getIncidentLog();
+  const incident = incidentLog.find(entry => entry.id === incidentId);
+  
+  if (incident) {
+    Object.assign(incident, changes);
+    await chrome.storage.local.set({ incidentLog });
+  }
+}
+
+/**
+ * Runs on browser start: only a genuine browser crash leads to recovery
+ */
+async function detectAndRecoverFromCrash() {
+  try {
+    const incident = await classifyPreviousSession('browserStart');
+    const settings = await chrome.storage.sync.get('settings');
+    
+    if (incident?.type !== 'browserCrash' || !settings.settings?.enableCrashRecovery) {
+      return;
+    }
+    
+    console.log('Crash detected - the previous browser session did not shut down cleanly');
+    
+    // Check if auto-restore is enabled
+    if (settings.settings?.autoRestoreOnStartup) {
+      await restoreWorkspacesFromSnapshots();
+      await updateIncident(incident.id, { recovery: 'restored' });
+    } else if (settings.settings?.showRecoveryNotifications) {
+      // Show notification about available recovery data
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon48.png',
+        title: 'GodTabs Recovery Available',
+        message: 'Workspace recovery data is available. Open GodTabs to restore your workspaces.'
+      });
+      await updateIncident(incident.id, { recovery: 'offered' });
+    }
+  } catch (error) {
+    console.error('Error during crash detection:', error);
+  }
+}
+
+/**
+ * Whether a tab belongs in autosave snapshots (browser and extension pages are left out)
+ */
+function isSnapshotTab(tab) {
+  return tab.url &&
+    !tab.url.startsWith('chrome://') &&
+    !tab.url.startsWith('chrome-extension://') &&
+    !tab.url.startsWith('moz-extension://');
+}
+
+// Snapshot diff
+// Compares two autosave snapshots, or a snapshot and the live state ('live'), with WorkspaceUtils.diffSnapshots
+
+async function getSnapshotState(snapshotId) {
+  if (snapshotId === 'live') {
+    const [tabs, { workspaces = [] }] = await Promise.all([
+      queryOpenTabs(),
+      chrome.storage.local.get('workspaces')
+    ]);
+    return { id: 'live', timestamp: Date.now(), tabs: tabs.filter(isSnapshotTab), workspaces };
+  }
+  
+  const snapshots = await getAutoSaveSnapshots();
+  const snapshot = snapshots.find(s => s.id === snapshotId);
+  
+  if (!snapshot) {
+    throw new Error('Snapshot not found');
+  }
+  
+  return snapshot;
+}
+
+async function diffSnapshots(fromId, toId = 'live') {
+  const [before, after] = await Promise.all([getSnapshotState(fromId), getSnapshotState(toId)]);
+  
+  return {
+    from: { id: before.id, timestamp: before.timestamp },
+    to: { id: after.id, timestamp: after.timestamp },
+    ...WorkspaceUtils.diffSnapshots(before, after)
+  };
+}
+
+async function restoreWorkspacesFromSnapshots() {
+  try {
+    // Get the most recent snapshot
+    const latestSnapshot = await getLatestSnapshot();
+    
+    if (!latestSnapshot) {
+      return;
+    }
+    
+    // The browser may have reopened some tabs itself, so only the missing ones are opened
+    await restoreSnapshot(latestSnapshot.id, { workspaces: 'merge', dedupe: true });
+    console.log('Restored from snapshot:', latestSnapshot.id);
+  } catch (error) {
+    console.error('Error restoring workspaces from snapshots:', error);
+  }
+}
+
+async function cleanupAutoSaveData() {
+  try {
+    // Thin out old snapshots, compacting the chains that remain
+    const removed = await applySnapshotRetention();
+    if (removed > 0) {
+      console.log(`Cleaned up ${removed} old snapshot records`);
+    }
+  } catch (error) {
+    console.error('Error cleaning up auto-save data:', error);
+  }
+}
+
+async function recoverSelectedWorkspaces(snapshotIds) {
+  try {
+    const snapshots = await getAutoSaveSnapshots();
+    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+    
+    for (const snapshotId of snapshotIds) {
+      const snapshot = snapshots.find(s => s.id === snapshotId);
+      if (snapshot && snapshot.workspaces) {
+        // Add recovered workspaces to current workspaces
+        for (const workspace of snapshot.workspaces) {
+          // Create a recovery version to avoid conflicts
+          const recoveredWorkspace = {
+            ...workspace,
+            id: `recovered_${workspace.id}_${Date.now()}`,
+            name: `${workspace.name} (Recovered)`,
+            isActive: false,
+            timestamp: Date.now()
+          };
+          workspaces.push(recoveredWorkspace);
+        }
+      }
+    }
+    
+    await chrome.storage.local.set({ workspaces });
+    console.log(`Recovered ${snapshotIds.length} workspace snapshots`);
+  } catch (error) {
+    console.error('Error recovering workspaces:', error);
+    throw error;
+  }
+}
+
+// Point-in-time restore
+// Reopens everything an autosave snapshot recorded, rather than only its workspaces
+
+/**
+ * Reopens a snapshot's tabs in their recorded windows and order
+ * Windows of the current browser session that are still open receive their missing tabs at the recorded positions,
+ * windows that are gone are recreated with their saved layout and tab groups.
+ * @param {string} snapshotId - Autosave snapshot id
+ * @param {object} options - workspaces: 'merge' adds the snapshot's workspaces that no longer
+ *   exist, 'replace' swaps the saved workspaces for the snapshot's, 'keep' leaves them alone;
+ *   dedupe skips tabs whose URL is already open
+ */
+async function restoreSnapshot(snapshotId, options = {}) {
+  const snapshot = (await getAutoSaveSnapshots()).find(s => s.id === snapshotId);
+  if (!snapshot) {
+    throw new Error('Snapshot not found');
+  }
+  
+  const workspaceMode = options.workspaces || 'merge';
+  if (!['merge', 'replace', 'keep'].includes(workspaceMode)) {
+    throw new Error(`Unknown workspace mode: ${workspaceMode}`);
+  }
+  
+  const [openTabs, { settings = {} }] = await Promise.all([
+    queryOpenTabs(),
+    chrome.storage.sync.get('settings')
+  ]);
+  const rules = settings.duplicateUrlRules;
+  const openUrls = new Set(openTabs.map(tab => CanonicalURLUtils.canonicalize(tab.url, rules)));
+  const tabsData = (snapshot.tabs || []).filter(tab =>
+    options.dedupe === false || !openUrls.has(CanonicalURLUtils.canonicalize(tab.url, rules)));
+  const skippedTabs = (snapshot.tabs || []).length - tabsData.length;
+  
+  const { createdTabs, failedTabs } = await reopenTabsInPlace(tabsData, snapshot.windows, snapshot.groups, snapshot.livenessSessionId);
+  
+  const restoredWorkspaces = workspaceMode === 'keep'
+    ? 0
+    : await restoreSnapshotWorkspaces(snapshot.workspaces || [], workspaceMode);
+  
+  const failures = failedTabs.length > 0 ? ` (${failedTabs.length} tabs failed)` : '';
+  showNotification(`Restored snapshot from ${new Date(snapshot.timestamp).toLocaleString()}${failures}`,
+    failedTabs.length > 0 ? 'warning' : 'success');
+  
+  return {
+    success: true,
+    restoredTabs: createdTabs.length,
+    skippedTabs,
+    failedTabs,
+    restoredWorkspaces
+  };
+}
+
+/**
+ * Reopens recorded tabs (snapshot tab shape) where they were
+ * Window ids survive only within a browser session: tabs whose window is still open go back
+ * into it at their recorded positions, the rest land in recreated windows.
+ * @param {string} recordedSessionId - Liveness session the tabs were recorded in; tabs recorded
+ *   in any other session always land in recreated windows
+ * @returns {Promise<{createdTabs: chrome.tabs.Tab[], failedTabs: object[]}>}
+ */
+async function reopenTabsInPlace(tabsData, windowsData = [], groupsData = [], recordedSessionId = null) {
+  const [{ settings = {} }, openWindows, currentSessionId] = await Promise.all([
+    chrome.storage.sync.get('settings'),
+    chrome.windows.getAll({ windowTypes: ['normal'] }),
+    getLivenessSessionId()
+  ]);
+  const activateTabs = settings.restoreActiveTab !== false;
+  
+  // Chrome numbers windows afresh on every launch, so recorded ids from another
+  // browser session would point at unrelated windows; those tabs get new windows
+  const sameSession = recordedSessionId !== null && recordedSessionId === currentSessionId;
+  const openWindowIds = new Set(sameSession ? openWindows.map(win => win.id) : []);
+  const intoNewWindows = tabsData.filter(tab => !openWindowIds.has(tab.windowId));
+  const createdTabs = [];
+  const failedTabs = [];
+  
+  for (const group of groupTabsByWindow(tabsData.filter(tab => openWindowIds.has(tab.windowId)))) {
+    const windowId = group.tabs[0].windowId;
+    const result = await openTabsFromData(group.tabs, { windowId });
+    createdTabs.push(...result.createdTabs);
+    failedTabs.push(...result.failedTabs);
+    
+    await moveToRecordedPositions(result.restored, windowId);
+    await restoreTabGroups(result.restored, groupsData, windowId, { reuseOpenGroups: true });
+    
+    const activeEntry = activateTabs && result.restored.find(entry => entry.tabData.active);
+    if (activeEntry) {
+      await chrome.tabs.update(activeEntry.tab.id, { active: true });
+    }
+  }
+  
+  if (intoNewWindows.length > 0) {
+    const result = await restoreTabsByWindow(intoNewWindows, windowsData, {
+      groups: groupsData,
+      activateTabs
+    });
+    createdTabs.push(...result.createdTabs);
+    failedTabs.push(...result.failedTabs);
+  }
+  
+  return { createdTabs, failedTabs };
+}
+
+/**
+ * Moves tabs restored into an open window back to their recorded indexes
+ * Ascending order keeps earlier moves in place; Chrome clamps indexes past the end
+ */
+async function moveToRecordedPositions(restored, windowId) {
+  const ordered = [...restored].sort((a, b) => (a.tabData.index ?? 0) - (b.tabData.index ?? 0));
+  
+  for (const { tabData, tab } of ordered) {
+    if (typeof tabData.index !== 'number') {
+      continue;
+    }
+    
+    try {
+      await chrome.tabs.move(tab.id, { windowId, index: tabData.index });
+    } catch (error) {
+      console.error(`Failed to move restored tab ${tab.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Brings a snapshot's workspaces back into the workspace store
+ * 'merge' adds the ones that no longer exist; 'replace' makes the store match the
+ * snapshot, archiving workspaces the snapshot did not have
+ * @returns {Promise<number>} Number of workspaces added or replaced
+ */
+async function restoreSnapshotWorkspaces(snapshotWorkspaces, mode) {
+  const [{ workspaces = [] }, windowWorkspaces] = await Promise.all([
+    chrome.storage.local.get('workspaces'),
+    getWindowWorkspaces()
+  ]);
+  
+  if (mode === 'merge') {
+    const existingIds = new Set(workspaces.map(workspace => workspace.id));
+    const missing = snapshotWorkspaces.filter(workspace => !existingIds.has(workspace.id));
+    
+    const merged = await applyWorkspaceLimit([...workspaces, ...missing], missing.map(workspace => workspace.id));
+    await saveWindowWorkspaces(windowWorkspaces, merged);
+    return missing.length;
+  }
+  
+  const snapshotIds = new Set(snapshotWorkspaces.map(workspace => workspace.id));
+  const replaced = workspaces.filter(workspace => !snapshotIds.has(workspace.id));
+  
+  if (replaced.length > 0) {
+    await archiveItems('workspace', replaced, 'Replaced by a snapshot restore');
+    notifyArchived('workspace', replaced, 'replaced by a snapshot restore');
+  }
+  
+  // Windows bound to a workspace the snapshot does not have lose their binding
+  const bindings = Object.fromEntries(
+    Object.entries(windowWorkspaces).filter(([, workspaceId]) => snapshotIds.has(workspaceId))
+  );
+  await saveWindowWorkspaces(bindings, snapshotWorkspaces);
+  return snapshotWorkspaces.length;
+}
+
+// Workspace management functions
+/**
+ * Captures the open tabs, window layout and tab groups in the shape stored on a workspace
+ * Limited to a single window when windowId is given
+ */
+async function captureWorkspaceContents(includePinned = true, windowId = null) {
+  const [tabs, windows, groups, parkingWindowId] = await Promise.all([
+    chrome.tabs.query(windowId === null ? {} : { windowId }),
+    captureWindowLayout(),
+    captureTabGroups(),
+    getParkingWindowId()
+  ]);
+  
+  // Filter out empty tabs and tabs parked by other workspaces
+  const validTabs = tabs.filter(tab =>
+    tab.url && !tab.url.startsWith('chrome://') && tab.windowId !== parkingWindowId
+  );
+  
+  return {
+    tabCount: validTabs.length,
+    windows: windows.filter(win => validTabs.some(tab => tab.windowId === win.id)),
+    groups: groups.filter(group => validTabs.some(tab => tab.groupId === group.id)),
+    tabs: validTabs
+      .filter(tab => includePinned || !tab.pinned)
+      .map(tab => ({
+        url: tab.url,
+        title: tab.title || 'Untitled',
+        pinned: tab.pinned,
+        active: tab.active,
+        favIconUrl: tab.favIconUrl,
+        windowId: tab.windowId,
+        index: tab.index,
+        groupId: tab.groupId
+      }))
+  };
+}
+
+async function saveCurrentWorkspace(name = null, options = {}) {
+  try {
+    // Get settings for workspace configuration
+    const settings = await chrome.storage.sync.get('settings');
+    const includePinned = settings.settings?.workspaceIncludePinned !== false;
+    
+    // Save the given window, or the focused one; the new workspace is bound to it
+    const windowId = options.windowId ??
+      (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+    const contents = await captureWorkspaceContents(includePinned, windowId);
+    
+    if (contents.tabCount === 0 && !options.allowEmpty) {
+      throw new Error('Cannot create workspace: No valid tabs found');
+    }
+    
+    // Get existing workspaces for duplicate name checking
+    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+    
+    // Generate unique name if not provided or if duplicate exists
+    let workspaceName = name;
+    if (!workspaceName || workspaces.some(w => w.name === workspaceName)) {
+      workspaceName = await generateUniqueWorkspaceName(workspaces, name);
+    }
+    
+    const workspace = {
+      id: Date.now().toString(),
+      name: workspaceName,
+      timestamp: Date.now(),
+      isActive: false,
+      hasUnsavedChanges: false,
+      ...contents
+    };
+    
+    // Workspaces over the maxWorkspaces limit are archived rather than dropped
+    const updatedWorkspaces = await applyWorkspaceLimit([workspace, ...workspaces], [workspace.id]);
+    
+    await saveWindowWorkspaces(
+      WorkspaceUtils.bindWorkspaceToWindow(await getWindowWorkspaces(), workspace.id, windowId),
+      updatedWorkspaces
+    );
+    showNotification(`Workspace "${workspaceName}" saved successfully`);
+    return workspace;
+  } catch (error) {
+    console.error('Error saving workspace:', error);
+    showNotification(`Failed to save workspace: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+async function generateUniqueWorkspaceName(existingWorkspaces, baseName = null) {
+  const defaultBase = baseName || `Workspace ${new Date().toLocaleString()}`;
+  const existingNames = new Set(existingWorkspaces.map(w => w.name));
+  
+  if (!existingNames.has(defaultBase)) {
+    return defaultBase;
+  }
+  
+  // Generate numbered variant
+  let counter = 1;
+  let uniqueName;
+  do {
+    uniqueName = `${defaultBase} (${counter})`;
+    counter++;
+  } while (existingNames.has(uniqueName) && counter < 100);
+  
+  return uniqueName;
+}
+
+async function createCurrentWorkspace() {
+  try {
+    const quickName = `Quick Workspace ${new Date().getHours()}:${String(new Date().getMinutes()).padStart(2, '0')}`;
+    const workspace = await saveCurrentWorkspace(quickName);
+    showNotification(`Workspace "${workspace.name}" created`, 'success');
+  } catch (error) {
+    console.error('Error creating workspace via shortcut:', error);
+    showNotification('Failed to create workspace', 'error');
+  }
+}
+
+async function switchToWorkspace(workspaceId, options = {}) {
+  // The window is rebuilt from scratch; don't record the intermediate states
+  workspaceTrackingPauseDepth++;
+  
+  try {
+    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+    
+    // Switch the given window, or the focused one
+    const targetWindowId = options.windowId ??
+      (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+    const windowWorkspaces = await getWindowWorkspaces();
+    const currentWorkspace = WorkspaceUtils.getWindowWorkspace(workspaces, windowWorkspaces, targetWindowId);
+    
+    // A workspace lives in one window at a time; if it is already open, just bring that window forward
+    const boundWindowId = Number(Object.keys(windowWorkspaces).find(id => windowWorkspaces[id] === workspaceId));
+    if (boundWindowId && await windowExists(boundWindowId)) {
+      await chrome.windows.update(boundWindowId, { focused: true });
+      return { workspace, createdTabs: [], failedTabs: [], focusedExisting: true, success: true };
+    }
+    
+    // Check if workspace has valid tabs
+    if (!workspace.tabs || workspace.tabs.length === 0) {
+      const shouldProceed = options.force || await confirmEmptyWorkspace(workspace.name);
+      if (!shouldProceed) {
+        return null;
+      }
+    }
+    
+    // Check for unsaved changes if enabled
+    const settings = await chrome.storage.sync.get('settings');
+    const settings_includePinned = settings.settings?.workspaceIncludePinned !== false;
+    
+    let savedContents = null;
+    if (settings.settings?.workspaceConfirmSwitch && !options.skipConfirmation) {
+      // A multi-window workspace can't be saved from one of its windows without losing the others
+      if (currentWorkspace && !WorkspaceUtils.spansMultipleWindows(currentWorkspace) &&
+          await hasUnsavedChanges(currentWorkspace, targetWindowId)) {
+        const choice = await confirmUnsavedChanges(currentWorkspace.name, workspace.name);
+        
+        if (choice === 'cancel') {
+          return null;
+        }
+        
+        if (choice === 'save') {
+          const contents = await captureWorkspaceContents(settings_includePinned, targetWindowId);
+          savedContents = { ...contents, timestamp: Date.now() };
+        }
+      }
+    }
+    
+    // Get current tabs to manage
+    const currentTabs = await chrome.tabs.query({ windowId: targetWindowId });
+    const switchMode = settings.settings?.workspaceSwitchMode || 'close';
+    
+    // Close non-pinned tabs (or all tabs if includePinned is true)
+    const outgoingTabs = currentTabs.filter(tab => settings_includePinned || !tab.pinned);
+    
+    // Bring back tabs parked when this workspace was last left, otherwise open it from its saved URLs.
+    // Either way the new tabs arrive first so removing the old ones never closes the current window
+    const { createdTabs, failedTabs } = await resumeParkedWorkspace(workspaceId, targetWindowId) ||
+      await restoreTabsByWindow(workspace.tabs, workspace.windows, {
+        targetWindowId,
+        groups: workspace.groups
+      });
+    
+    let undoId = null;
+    if (outgoingTabs.length > 0) {
+      // Tabs can only be parked on behalf of the workspace they belong to
+      if (switchMode !== 'close' && currentWorkspace) {
+        await parkWorkspaceTabs(currentWorkspace.id, outgoingTabs, { discard: switchMode === 'discard' });
+      } else {
+        undoId = await closeTabsWithUndo(outgoingTabs, `Closed ${outgoingTabs.length} tabs switching to "${workspace.name}"`);
+      }
+    }
+    
+    // The prompts and tab moves above can take a while; apply this switch's changes to
+    // what is stored now so edits, live syncs and deletions made meanwhile survive
+    const [{ workspaces: latestWorkspaces = [] }, latestWindowWorkspaces] = await Promise.all([
+      chrome.storage.local.get('workspaces'),
+      getWindowWorkspaces()
+    ]);
+    const switched = latestWorkspaces.find(w => w.id === workspaceId);
+    if (switched) {
+      switched.lastAccessed = Date.now();
+    }
+    const saved = savedContents && latestWorkspaces.find(w => w.id === currentWorkspace.id);
+    if (saved) {
+      Object.assign(saved, savedContents);
+    }
+    
+    // Bind the workspace to this window, replacing whatever the window held before
+    await saveWindowWorkspaces(
+      WorkspaceUtils.bindWorkspaceToWindow(latestWindowWorkspaces, workspaceId, targetWindowId),
+      latestWorkspaces
+    );
+    
+    // Show results notification
+    const message = failedTabs.length > 0 
+      ? `Switched to "${workspace.name}" (${failedTabs.length} tabs failed to load)`
+      : `Switched to workspace: ${workspace.name}`;
+    
+    showNotification(message, failedTabs.length > 0 ? 'warning' : 'success');
+    
+    return { 
+      workspace, 
+      createdTabs, 
+      failedTabs,
+      undoId,
+      success: true 
+    };
+  } catch (error) {
+    console.error('Error switching to workspace:', error);
+    showNotification(`Failed to switch workspace: ${error.message}`, 'error');
+    throw error;
+  } finally {
+    workspaceTrackingPauseDepth--;
+  }
+}
+
+// Window to workspace binding
+// Each window can hold its own workspace. The binding is kept as a { windowId: workspaceId }
+// map in storage.local; workspace.isActive mirrors whether a workspace is open in any window.
+
+async function getWindowWorkspaces() {
+  const { workspaceWindows = {} } = await chrome.storage.local.get('workspaceWindows');
+  return workspaceWindows;
+}
+
+/**
+ * Stores the window map and refreshes the isActive flags of the given workspaces
+ */
+async function saveWindowWorkspaces(windowWorkspaces, workspaces = null) {
+  const workspaceList = workspaces || (await chrome.storage.local.get('workspaces')).workspaces || [];
+  
+  await chrome.storage.local.set({
+    workspaceWindows: windowWorkspaces,
+    workspaces: WorkspaceUtils.applyWindowBindings(workspaceList, windowWorkspaces)
+  });
+}
+
+async function windowExists(windowId) {
+  try {
+    await chrome.windows.get(windowId);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const WINDOW_UNBIND_DELAY_MS = 3000; // Quitting closes every window within this time
+
+async function unbindWorkspaceWindow(windowId) {
+  try {
+    // Quitting the browser closes its windows one after another. Wait until the rest
+    // have had time to close: if none are left (or the worker was stopped meanwhile),
+    // the bindings are kept so rebindWorkspaceWindows can restore them on the next start
+    await new Promise(resolve => setTimeout(resolve, WINDOW_UNBIND_DELAY_MS));
+    
+    const remainingWindows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+    if (remainingWindows.length === 0) {
+      return;
+    }
+    
+    // Read after the delay so bindings made meanwhile are not overwritten
+    const windowWorkspaces = await getWindowWorkspaces();
+    if (windowWorkspaces[windowId]) {
+      delete windowWorkspaces[windowId];
+      await saveWindowWorkspaces(windowWorkspaces);
+    }
+  } catch (error) {
+    console.error('Error unbinding workspace window:', error);
+  }
+}
+
+/**
+ * Window ids change across browser restarts; re-binds restored windows to the
+ * workspaces they held by comparing their tabs with each workspace's saved tabs
+ */
+async function rebindWorkspaceWindows() {
+  try {
+    const windowWorkspaces = await getWindowWorkspaces();
+    const previouslyBound = new Set(Object.values(windowWorkspaces));
+    
+    if (previouslyBound.size === 0) {
+      return;
+    }
+    
+    const [{ workspaces = [] }, windows, parkingWindowId] = await Promise.all([
+      chrome.storage.local.get('workspaces'),
+      chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }),
+      getParkingWindowId()
+    ]);
+    
+    const openWindows = windows
+      .filter(win => win.id !== parkingWindowId)
+      .map(win => ({ id: win.id, urls: win.tabs.map(tab => tab.url || tab.pendingUrl) }));
+    
+    const rebound = WorkspaceUtils.matchWindowsToWorkspaces(
+      openWindows,
+      workspaces.filter(w => previouslyBound.has(w.id))
+    );
+    
+    await saveWindowWorkspaces(rebound, workspaces);
+    console.log(`Re-bound ${Object.keys(rebound).length} of ${previouslyBound.size} workspace windows`);
+  } catch (error) {
+    console.error('Error re-binding workspace windows:', error);
+  }
+}
+
+// Live workspace tracking
+// Tab changes in a window that holds a workspace are written back to that workspace,
+// debounced, so it always reflects reality when you leave it. Workspaces saved across
+// several windows are left as saved, since only one of their windows is bound.
+const WORKSPACE_SYNC_DEBOUNCE_MS = 2000;
+const workspaceSyncTimers = new Map(); // windowId -> timeout
+let workspaceTrackingPauseDepth = 0;
+
+async function scheduleWorkspaceSync(windowId) {
+  try {
+    const windowWorkspaces = await getWindowWorkspaces();
+    
+    if (windowWorkspaces[windowId]) {
+      armWorkspaceSync(windowId);
+    }
+  } catch (error) {
+    console.error('Error scheduling workspace sync:', error);
+  }
+}
+
+function armWorkspaceSync(windowId) {
+  clearTimeout(workspaceSyncTimers.get(windowId));
+  workspaceSyncTimers.set(windowId, setTimeout(() => {
+    workspaceSyncTimers.delete(windowId);
+    syncWindowWorkspace(windowId).catch(error => {
+      console.error('Workspace sync failed:', error);
+    });
+  }, WORKSPACE_SYNC_DEBOUNCE_MS));
+}
+
+/**
+ * Writes a window's current tabs, groups and layout into the workspace bound to it
+ * Honors the workspaceAutoSave setting
+ */
+async function syncWindowWorkspace(windowId) {
+  // Try again once the switch that paused tracking has finished
+  if (workspaceTrackingPauseDepth > 0) {
+    armWorkspaceSync(windowId);
+    return;
+  }
+  
+  const settings = await chrome.storage.sync.get('settings');
+  if (settings.settings?.workspaceAutoSave === false) {
+    return;
+  }
+  
+  const [{ workspaces = [] }, windowWorkspaces] = await Promise.all([
+    chrome.storage.local.get('workspaces'),
+    getWindowWorkspaces()
+  ]);
+  const workspace = WorkspaceUtils.getWindowWorkspace(workspaces, windowWorkspaces, windowId);
+  
+  // The window may have closed before the debounce fired
+  if (!workspace || !await windowExists(windowId)) {
+    return;
+  }
+  
+  // Only the bound window is tracked; writing it back would drop the workspace's other windows
+  if (WorkspaceUtils.spansMultipleWindows(workspace)) {
+    return;
+  }
+  
+  const includePinned = settings.settings?.workspaceIncludePinned !== false;
+  const contents = await captureWorkspaceContents(includePinned, windowId);
+  
+  // Skip the write when only ignored properties changed (e.g. a title update on a chrome:// page)
+  if (JSON.stringify(contents.tabs) === JSON.stringify(workspace.tabs) &&
+      JSON.stringify(contents.groups) === JSON.stringify(workspace.groups)) {
+    return;
+  }
+  
+  Object.assign(workspace, contents, { timestamp: Date.now(), hasUnsavedChanges: false });
+  await chrome.storage.local.set({ workspaces });
+}
+
+// Workspace tab parking
+// Instead of closing a workspace's tabs on switch, they can be moved to a minimized
+// background window and moved back live on return, keeping scroll position, form state and history.
+
+/**
+ * Returns the id of the parking window if it is still open
+ */
+async function getParkingWindowId() {
+  const { workspaceParkingWindowId } = await chrome.storage.local.get('workspaceParkingWindowId');
+  
+  if (typeof workspaceParkingWindowId !== 'number') {
+    return null;
+  }
+  
+  try {
+    await chrome.windows.get(workspaceParkingWindowId);
+    return workspaceParkingWindowId;
+  } catch {
+    // The window was closed, e.g. when its last parked tab was moved out
+    return null;
+  }
+}
+
+/**
+ * Queries tabs like chrome.tabs.query, leaving out the tabs held in the parking window
+ * Parked tabs belong to inactive workspaces and are not "open" as far as the user is concerned
+ */
+async function queryOpenTabs(queryInfo = {}) {
+  const [tabs, parkingWindowId] = await Promise.all([chrome.tabs.query(queryInfo), getParkingWindowId()]);
+  return tabs.filter(tab => tab.windowId !== parkingWindowId);
+}
+
+/**
+ * Moves a workspace's tabs into the parking window and records them for resumeParkedWorkspace
+ */
+async function parkWorkspaceTabs(workspaceId, tabs, options = {}) {
+  const groups = (await captureTabGroups()).filter(group => tabs.some(tab => tab.groupId === group.id));
+  let parkingWindowId = await getParkingWindowId();
+  let tabsToMove = tabs;
+  
+  if (parkingWindowId === null) {
+    // A window needs a tab to exist, so the first parked tab opens it
+    const parkingWindow = await chrome.windows.create({ tabId: tabs[0].id, state: 'minimized' });
+    parkingWindowId = parkingWindow.id;
+    tabsToMove = tabs.slice(1);
+    await chrome.storage.local.set({ workspaceParkingWindowId: parkingWindowId });
+  }
+  
+  if (tabsToMove.length > 0) {
+    await chrome.tabs.move(tabsToMove.map(tab => tab.id), { windowId: parkingWindowId, index: -1 });
+  }
+  
+  if (options.discard) {
+    for (const tab of tabs) {
+      try {
+        await chrome.tabs.discard(tab.id);
+      } catch (error) {
+        // The parking window's active tab cannot be discarded
+      }
+    }
+  }
+  
+  const { parkedWorkspaces = {} } = await chrome.storage.local.get('parkedWorkspaces');
+  parkedWorkspaces[workspaceId] = {
+    parkedAt: Date.now(),
+    groups,
+    tabs: tabs.map(tab => ({
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title,
+      pinned: tab.pinned,
+      active: tab.active,
+      groupId: tab.groupId
+    }))
+  };
+  await chrome.storage.local.set({ parkedWorkspaces });
+}
+
+/**
+ * Moves a workspace's parked tabs back into the given window
+ * Returns null when nothing was parked or every parked tab has since been closed
+ */
+async function resumeParkedWorkspace(workspaceId, windowId) {
+  const { parkedWorkspaces = {} } = await chrome.storage.local.get('parkedWorkspaces');
+  const parked = parkedWorkspaces[workspaceId];
+  
+  if (!parked) {
+    return null;
+  }
+  
+  delete parkedWorkspaces[workspaceId];
+  await chrome.storage.local.set({ parkedWorkspaces });
+  
+  // Tab ids do not survive a browser restart, and parked tabs may have been closed by hand
+  const liveTabs = [];
+  for (const tabData of parked.tabs) {
+    try {
+      const tab = await chrome.tabs.get(tabData.tabId);
+      liveTabs.push({ tabData, tab });
+    } catch {
+      // Tab no longer exists
+    }
+  }
+  
+  if (liveTabs.length === 0) {
+    return null;
+  }
+  
+  await chrome.tabs.move(liveTabs.map(({ tab }) => tab.id), { windowId, index: -1 });
+  
+  for (const { tabData, tab } of liveTabs) {
+    if (tabData.pinned && !tab.pinned) {
+      await chrome.tabs.update(tab.id, { pinned: true });
+    }
+  }
+  
+  await restoreTabGroups(liveTabs, parked.groups, windowId);
+  
+  const { tab: activeTab } = liveTabs.find(({ tabData }) => tabData.active) || liveTabs[0];
+  await chrome.tabs.update(activeTab.id, { active: true });
+  
+  return {
+    createdTabs: liveTabs.map(({ tab }) => tab),
+    failedTabs: []
+  };
+}
+
+async function deleteWorkspace(workspaceId) {
+  try {
+    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+    
+    const windowWorkspaces = await getWindowWorkspaces();
+    const undoId = await recordUndo('deleteWorkspace', `Deleted workspace "${workspace.name}"`, {
+      workspace,
+      index: workspaces.indexOf(workspace),
+      windowIds: Object.keys(windowWorkspaces).filter(windowId => windowWorkspaces[windowId] === workspaceId)
+    });
+    
+    const updatedWorkspaces = workspaces.filter(w => w.id !== workspaceId);
+    await chrome.storage.local.set({ workspaces: updatedWorkspaces });
+    
+    // Release any window that held the deleted workspace
+    const remainingBindings = Object.fromEntries(
+      Object.entries(windowWorkspaces).filter(([, boundId]) => boundId !== workspaceId)
+    );
+    await saveWindowWorkspaces(remainingBindings, updatedWorkspaces);
+    
+    showNotification(`Workspace "${workspace.name}" deleted`, 'success');
+    return { success: true, deletedWorkspace: workspace, undoId };
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    showNotification(`Failed to delete workspace: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Archive
+// Workspaces and sessions pushed out by maxWorkspaces / maxSessions are archived
+// (see ArchiveUtils) instead of being deleted, and can be searched and restored later.
+const MAX_ARCHIVE_ENTRIES = 200;
+
+async function getArchive() {
+  const { archive = [] } = await chrome.storage.local.get('archive');
+  return archive;
+}
+
+async function archiveItems(kind, items, reason) {
+  const entries = await Promise.all(items.map(async item =>
+    ArchiveUtils.createEntry(kind, item, await ArchiveUtils.compress(item), reason)
+  ));
+  
+  // The archive itself is bounded; past the cap the oldest archived entries are dropped, and the user is told
+  const combined = [...entries, ...await getArchive()];
+  const archive = combined.slice(0, MAX_ARCHIVE_ENTRIES);
+  await chrome.storage.local.set({ archive });
+  
+  const dropped = combined.slice(MAX_ARCHIVE_ENTRIES);
+  if (dropped.length > 0) {
+    notifyArchiveOverflow(dropped);
+  }
+  return entries;
+}
+
+function notifyArchiveOverflow(dropped) {
+  const names = dropped.slice(0, 5).map(entry => `"${entry.name}"`).join(', ');
+  const more = dropped.length > 5 ? ` and ${dropped.length - 5} more` : '';
+  
+  console.warn(`Archive full: deleted ${dropped.length} oldest entries`, dropped.map(entry => entry.name));
+  showNotification(`The archive is full (${MAX_ARCHIVE_ENTRIES} items): permanently deleted ${names}${more}`, 'warning');
+}
+
+function notifyArchived(kind, items, reason = 'to stay within your limit') {
+  const names = items.slice(0, 5).map(item => `"${item.name}"`).join(', ');
+  const more = items.length > 5 ? ` and ${items.length - 5} more` : '';
+  const label = items.length === 1 ? kind : `${kind}s`;
+  
+  showNotification(`Archived ${items.length} ${label} ${reason}: ${names}${more}`, 'info');
+}
+
+/**
+ * Archives workspaces over the maxWorkspaces limit following the eviction policy
+ * Workspaces open in a window and the given protected ids are never evicted
+ * @returns {Promise<object[]>} The workspaces to keep
+ */
+async function applyWorkspaceLimit(workspaces, protectedIds = []) {
+  const { settings = {} } = await chrome.storage.sync.get('settings');
+  const maxWorkspaces = settings.maxWorkspaces || 20;
+  const boundIds = Object.values(await getWindowWorkspaces());
+  
+  const evicted = ArchiveUtils.selectForEviction(workspaces, workspaces.length - maxWorkspaces, {
+    policy: settings.archiveEvictionPolicy,
+    protectedIds: new Set([...protectedIds, ...boundIds]),
+    protectFavorites: settings.archiveProtectFavorites !== false
+  });
+  
+  if (evicted.length === 0) {
+    return workspaces;
+  }
+  
+  await archiveItems('workspace', evicted, `Over the limit of ${maxWorkspaces} saved workspaces`);
+  notifyArchived('workspace', evicted);
+  
+  const evictedIds = new Set(evicted.map(workspace => workspace.id));
+  return workspaces.filter(workspace => !evictedIds.has(workspace.id));
+}
+
+/**
+ * Archives sessions over the maxSessions limit following the eviction policy
+ * @returns {Promise<object[]>} The sessions to keep
+ */
+async function applySessionLimit(sessions, protectedIds = []) {
+  const { settings = {} } = await chrome.storage.sync.get('settings');
+  const maxSessions = settings.maxSessions || 50;
+  
+  const evicted = ArchiveUtils.selectForEviction(sessions, sessions.length - maxSessions, {
+    policy: settings.archiveEvictionPolicy,
+    protectedIds: new Set(protectedIds)
+  });
+  
+  if (evicted.length === 0) {
+    return sessions;
+  }
+  
+  await archiveItems('session', evicted, `Over the limit of ${maxSessions} saved sessions`);
+  notifyArchived('session', evicted);
+  
+  const evictedIds = new Set(evicted.map(session => session.id));
+  return sessions.filter(session => !evictedIds.has(session.id));
+}
+
+/**
+ * Lists archive entries (without their compressed data), optionally filtered by kind and query
+ * The query is matched against the index first and then against the archived tabs' titles and URLs
+ */
+async function searchArchive(query = '', kind = null) {
+  const needle = query.trim().toLowerCase();
+  const results = [];
+  
+  for (const entry of await getArchive()) {
+    if (kind && entry.kind !== kind) {
+      continue;
+    }
+    
+    let matches = ArchiveUtils.matchesIndex(entry, needle);
+    if (!matches) {
+      try {
+        const item = await ArchiveUtils.decompress(entry.data);
+        matches = (item.tabs || []).some(tab =>
+          `${tab.title || ''} ${tab.url || ''}`.toLowerCase().includes(needle)
+        );
+      } catch (error) {
+        console.error(`Failed to read archive entry ${entry.id}:`, error);
+      }
+    }
+    
+    if (matches) {
+      const { data, ...summary } = entry;
+      results.push(summary);
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Moves an archived workspace or session back into the saved list
+ * If that puts the list over its limit, something else is archived in its place
+ */
+async function restoreArchivedItem(archiveId) {
+  const archive = await getArchive();
+  const entry = archive.find(e => e.id === archiveId);
+  
+  if (!entry) {
+    throw new Error('Archive entry not found');
+  }
+  
+  const item = await ArchiveUtils.decompress(entry.data);
+  item.lastAccessed = Date.now();
+  await chrome.storage.local.set({ archive: archive.filter(e => e.id !== archiveId) });
+  
+  if (entry.kind === 'workspace') {
+    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+    const folders = await getWorkspaceFolders();
+    
+    if (workspaces.some(w => w.id === item.id)) {
+      item.id = Date.now().toString();
+    }
+    if (workspaces.some(w => w.name === item.name)) {
+      item.name = await generateUniqueWorkspaceName(workspaces, item.name);
+    }
+    if (item.folderId && !folders.some(folder => folder.id === item.folderId)) {
+      item.folderId = null;
+    }
+    item.isActive = false;
+    
+    await chrome.storage.local.set({ workspaces: await applyWorkspaceLimit([item, ...workspaces], [item.id]) });
+  } else {
+    const { sessions = [] } = await chrome.storage.local.get('sessions');
+    
+    if (sessions.some(s => s.id === item.id)) {
+      item.id = Date.now().toString();
+    }
+    
+    await chrome.storage.local.set({ sessions: await applySessionLimit([item, ...sessions], [item.id]) });
+  }
+  
+  showNotification(`Restored "${item.name}" from the archive`, 'success');
+  return { kind: entry.kind, item };
+}
+
+async function deleteArchivedItem(archiveId) {
+  const archive = await getArchive();
+  await chrome.storage.local.set({ archive: archive.filter(entry => entry.id !== archiveId) });
+}
+
+// Undo journal
+// Destructive operations record what they are about to destroy (gzip-compressed, see
+// ArchiveUtils.compress) so they can be reverted. Entries expire by age and the journal is
+// kept within a byte budget; the newest entry is always kept. Automatic operations (sweeps,
+// auto-close) have their own smaller budget so they never push out what the user did.
+const UNDO_JOURNAL_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const UNDO_JOURNAL_MAX_BYTES = 2 * 1024 * 1024;
+const MAX_UNDO_ENTRIES = 50;
+const AUTOMATIC_UNDO_MAX_BYTES = 512 * 1024;
+const MAX_AUTOMATIC_UNDO_ENTRIES = 10;
+
+// Collections merged back by id (or url) on undo; other stored keys are overwritten
+const UNDO_MERGE_KEYS = ['sessions', 'workspaces', 'workspaceFolders', 'tabHistory', 'archive'];
+
+/**
+ * Records the state needed to revert an operation
+ * @param {string} type - Key of UNDO_HANDLERS
+ * @param {string} label - What the operation did, shown to the user
+ * @param {object} payload - Data the handler needs to revert it
+ * @param {object} options - automatic marks operations the user did not start
+ * @returns {Promise<string>} Journal entry id
+ */
+async function recordUndo(type, label, payload, options = {}) {
+  const data = await ArchiveUtils.compress(payload);
+  const entry = {
+    id: `undo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    label,
+    automatic: !!options.automatic,
+    createdAt: Date.now(),
+    bytes: data.length,
+    data
+  };
+  
+  const { undoJournal = [] } = await chrome.storage.local.get('undoJournal');
+  await chrome.storage.local.set({ undoJournal: pruneUndoJournal([entry, ...undoJournal]) });
+  return entry.id;
+}
+
+function pruneUndoJournal(entries) {
+  const cutoff = Date.now() - UNDO_JOURNAL_MAX_AGE_MS;
+  // User and automatic entries are counted separately
+  const budgets = {
+    user: { bytes: 0, count: 0, maxBytes: UNDO_JOURNAL_MAX_BYTES, maxCount: MAX_UNDO_ENTRIES },
+    automatic: { bytes: 0, count: 0, maxBytes: AUTOMATIC_UNDO_MAX_BYTES, maxCount: MAX_AUTOMATIC_UNDO_ENTRIES }
+  };
+  
+  return entries.filter((entry, index) => {
+    const budget = entry.automatic ? budgets.automatic : budgets.user;
+    budget.bytes += entry.bytes;
+    budget.count++;
+    return index === 0 || (entry.createdAt > cutoff && budget.bytes <= budget.maxBytes && budget.count <= budget.maxCount);
+  });
+}
+
+/**
+ * Journal entries without their payloads, newest first
+ */
+async function getUndoJournal() {
+  const { undoJournal = [] } = await chrome.storage.local.get('undoJournal');
+  const pruned = pruneUndoJournal(undoJournal);
+  
+  if (pruned.length !== undoJournal.length) {
+    await chrome.storage.local.set({ undoJournal: pruned });
+  }
+  
+  return pruned.map(({ data, ...entry }) => entry);
+}
+
+/**
+ * Tab records in the shape autosave snapshots use, so they can be reopened in place
+ */
+function toTabRecord(tab) {
+  return {
+    id: tab.id,
+    url: tab.url,
+    title: tab.title,
+    favIconUrl: tab.favIconUrl,
+    pinned: tab.pinned,
+    windowId: tab.windowId,
+    index: tab.index,
+    active: tab.active,
+    groupId: tab.groupId
+  };
+}
+
+/**
+ * Closes tabs after journaling them
+ * @returns {Promise<string|null>} Undo entry id, or null when there was nothing to close
+ */
+async function closeTabsWithUndo(tabs, label, options = {}) {
+  if (tabs.length === 0) {
+    return null;
+  }
+  
+  const [windows, groups] = await Promise.all([captureWindowLayout(), captureTabGroups()]);
+  const undoId = await recordUndo('closeTabs', label, {
+    tabs: tabs.map(toTabRecord),
+    windows,
+    groups,
+    livenessSessionId: await getLivenessSessionId()
+  }, options);
+  
+  await chrome.tabs.remove(tabs.map(tab => tab.id));
+  return undoId;
+}
+
+/**
+ * Removes stored keys after journaling their values
+ * Nothing is removed when the journal entry can't be written (recordUndo throws)
+ * @param {string[]} keys - storage.local keys, or null for everything (also resets storage.sync)
+ */
+async function clearStoredData(keys, label) {
+  const local = await chrome.storage.local.get(keys);
+  delete local.undoJournal;
+  const sync = keys === null ? await chrome.storage.sync.get(null) : {};
+  
+  const undoId = await recordUndo('restoreStorage', label, { local, sync });
+  
+  if (keys === null) {
+    const { undoJournal = [] } = await chrome.storage.local.get('undoJournal');
+    await chrome.storage.sync.clear();
+    await chrome.storage.local.clear();
+    // The journal outlives a reset so the reset itself can be undone
+    await chrome.storage.local.set({ undoJournal });
+  } else {
+    await chrome.storage.local.remove(keys);
+  }
+  latestSnapshotCache = null;
+  
+  return undoId;
+}
+
+const UNDO_HANDLERS = {
+  async closeTabs({ tabs, windows, groups, livenessSessionId = null }) {
+    const { createdTabs, failedTabs } = await reopenTabsInPlace(tabs, windows, groups, livenessSessionId);
+    return `Reopened ${createdTabs.length} tabs${failedTabs.length > 0 ? ` (${failedTabs.length} failed)` : ''}`;
+  },
+  
+  async suspendTabs({ tabIds }) {
+    let reloaded = 0;
+    for (const tabId of tabIds) {
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.discarded) {
+          await chrome.tabs.reload(tabId);
+          reloaded++;
+        }
+      } catch {
+        // Tab was closed since it was suspended
+      }
+    }
+    
+    await updateTabActivityStore((tabActivity) => {
+      tabIds.forEach(tabId => {
+        if (tabActivity[tabId]) {
+          tabActivity[tabId].suspended = false;
+        }
+      });
+    });
+    
+    return `Reloaded ${reloaded} suspended tabs`;
+  },
+  
+  async deleteWorkspace({ workspace, index, windowIds }) {
+    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+    if (workspaces.some(w => w.id === workspace.id)) {
+      return `"${workspace.name}" already exists`;
+    }
+    
+    workspaces.splice(Math.min(index, workspaces.length), 0, workspace);
+    
+    // Windows that held the workspace get it back if they are still open and unclaimed
+    const windowWorkspaces = await getWindowWorkspaces();
+    for (const windowId of windowIds) {
+      if (!windowWorkspaces[windowId] && await windowExists(Number(windowId))) {
+        windowWorkspaces[windowId] = workspace.id;
+      }
+    }
+    
+    await saveWindowWorkspaces(windowWorkspaces, workspaces);
+    return `Restored workspace "${workspace.name}"`;
+  },
+  
+  async restoreStorage({ local, sync }) {
+    const current = await chrome.storage.local.get(Object.keys(local));
+    
+    for (const key of UNDO_MERGE_KEYS) {
+      if (Array.isArray(local[key]) && Array.isArray(current[key])) {
+        const itemKey = item => item.id ?? item.url;
+        const present = new Set(current[key].map(itemKey));
+        local[key] = [...current[key], ...local[key].filter(item => !present.has(itemKey(item)))];
+      }
+    }
+    
+    await chrome.storage.local.set(local);
+    if (Object.keys(sync).length > 0) {
+      await chrome.storage.sync.set(sync);
+    }
+    latestSnapshotCache = null;
+    
+    return 'Restored cleared data';
+  }
+};
+
+/**
+ * Reverts a journaled operation and drops it from the journal
+ * @returns {Promise<string>} Description of what was reverted
+ */
+async function undoOperation(undoId) {
+  const { undoJournal = [] } = await chrome.storage.local.get('undoJournal');
+  const entry = undoJournal.find(e => e.id === undoId);
+  
+  if (!entry) {
+    throw new Error('This operation can no longer be undone');
+  }
+  
+  const handler = UNDO_HANDLERS[entry.type];
+  if (!handler) {
+    throw new Error(`Unknown operation type: ${entry.type}`);
+  }
+  
+  const message = await handler(await ArchiveUtils.decompress(entry.data));
+  
+  // Re-read: the handler may have restored a journal-less storage snapshot
+  const latest = (await chrome.storage.local.get('undoJournal')).undoJournal || [];
+  await chrome.storage.local.set({ undoJournal: latest.filter(e => e.id !== undoId) });
+  
+  showNotification(`Undid "${entry.label}": ${message}`, 'success');
+  return message;
+}
+
+// Workspace editing
+// Tabs are addressed by their position in workspace.tabs
+
+/**
+ * Loads a workspace, applies an edit to it and saves it
+ * The mutator receives the workspace and the full list and may throw to abort the edit
+ * @param {Object} options - { metadataOnly } keeps the timestamp for edits that leave the tabs alone
+ */
+async function editWorkspace(workspaceId, mutate, options = {}) {
+  const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+  const workspace = workspaces.find(w => w.id === workspaceId);
+  
+  if (!workspace) {
+    throw new Error('Workspace not found');
+  }
+  
+  mutate(workspace, workspaces);
+  
+  workspace.tabs = normalizeWorkspaceTabs(workspace.tabs);
+  workspace.tabCount = workspace.tabs.length;
+  if (!options.metadataOnly) {
+    workspace.timestamp = Date.now();
+  }
+  
+  await chrome.storage.local.set({ workspaces });
+  return workspace;
+}
+
+/**
+ * Renumbers tab indexes per window to match the order of the array
+ * restoreTabsByWindow sorts by index, so edits must keep indexes in step with the array
+ */
+function normalizeWorkspaceTabs(tabs) {
+  const nextIndex = new Map();
+  
+  return tabs.map(tab => {
+    const index = nextIndex.get(tab.windowId) || 0;
+    nextIndex.set(tab.windowId, index + 1);
+    return { ...tab, index };
+  });
+}
+
+/**
+ * Builds a stored tab record from user-supplied data, placed in the given window
+ */
+function createWorkspaceTabRecord(tabData, windowId) {
+  if (!tabData || !isValidUrl(tabData.url)) {
+    throw new Error(`Invalid tab URL: ${tabData?.url || '(empty)'}`);
+  }
+  
+  return {
+    url: tabData.url,
+    title: tabData.title || tabData.url,
+    pinned: !!tabData.pinned,
+    active: false,
+    favIconUrl: tabData.favIconUrl,
+    windowId,
+    index: 0,
+    groupId: -1
+  };
+}
+
+function getWorkspaceTabAt(workspace, tabIndex) {
+  const tab = workspace.tabs[tabIndex];
+  if (!tab) {
+    throw new Error('Tab not found in workspace');
+  }
+  return tab;
+}
+
+async function renameWorkspace(workspaceId, newName) {
+  return await editWorkspace(workspaceId, (workspace, workspaces) => {
+    const name = typeof newName === 'string' ? newName.trim() : newName;
+    const validation = validateWorkspaceName(name, workspaces.filter(w => w.id !== workspaceId));
+    
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+    
+    workspace.name = name;
+  });
+}
+
+/**
+ * Replaces a workspace's tab list, e.g. after reordering or editing URLs
+ * Existing window and group assignments are kept when present
+ */
+async function updateWorkspaceTabs(workspaceId, tabs) {
+  if (!Array.isArray(tabs)) {
+    throw new Error('Tabs must be an array');
+  }
+  
+  return await editWorkspace(workspaceId, (workspace) => {
+    const defaultWindowId = workspace.tabs[0]?.windowId;
+    const storedByUrl = new Map(workspace.tabs.map(tab => [tab.url, tab]));
+    
+    workspace.tabs = tabs.map(tabData => {
+      // Only new or edited URLs are validated; saved tabs may hold pages that can't be added by hand
+      const stored = storedByUrl.get(tabData?.url);
+      const record = stored
+        ? { ...stored, title: tabData.title || stored.title, pinned: !!tabData.pinned, windowId: tabData.windowId ?? stored.windowId }
+        : createWorkspaceTabRecord(tabData, tabData?.windowId ?? defaultWindowId);
+      
+      return {
+        ...record,
+        active: !!tabData.active,
+        groupId: typeof tabData.groupId === 'number' ? tabData.groupId : -1
+      };
+    });
+  });
+}
+
+async function addTabToWorkspace(workspaceId, tabData, position = null) {
+  return await editWorkspace(workspaceId, (workspace) => {
+    const index = position === null ? workspace.tabs.length : Math.min(Math.max(position, 0), workspace.tabs.length);
+    // Join the window of the neighbouring tab so the tab isn't restored into a window of its own
+    const neighbour = workspace.tabs[index - 1] || workspace.tabs[index];
+    
+    workspace.tabs.splice(index, 0, createWorkspaceTabRecord(tabData, neighbour?.windowId));
+  });
+}
+
+async function removeTabFromWorkspace(workspaceId, tabIndex) {
+  return await editWorkspace(workspaceId, (workspace) => {
+    getWorkspaceTabAt(workspace, tabIndex);
+    workspace.tabs.splice(tabIndex, 1);
+  });
+}
+
+async function moveTabBetweenWorkspaces(sourceWorkspaceId, targetWorkspaceId, tabIndex, position = null) {
+  if (sourceWorkspaceId === targetWorkspaceId) {
+    throw new Error('Source and target workspace are the same');
+  }
+  
+  const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+  const source = workspaces.find(w => w.id === sourceWorkspaceId);
+  const target = workspaces.find(w => w.id === targetWorkspaceId);
+  
+  if (!source || !target) {
+    throw new Error('Workspace not found');
+  }
+  
+  const tab = getWorkspaceTabAt(source, tabIndex);
+  source.tabs.splice(tabIndex, 1);
+  
+  const index = position === null ? target.tabs.length : Math.min(Math.max(position, 0), target.tabs.length);
+  const neighbour = target.tabs[index - 1] || target.tabs[index];
+  
+  // Group ids only mean something within the source workspace
+  target.tabs.splice(index, 0, { ...tab, windowId: neighbour?.windowId, groupId: -1, active: false });
+  
+  for (const workspace of [source, target]) {
+    workspace.tabs = normalizeWorkspaceTabs(workspace.tabs);
+    workspace.tabCount = workspace.tabs.length;
+    workspace.timestamp = Date.now();
+  }
+  
+  await chrome.storage.local.set({ workspaces });
+  return { source, target };
+}
+
+/**
+ * Reorders workspaces to match the given ids; workspaces not listed keep their relative order at the end
+ */
+async function reorderWorkspaces(workspaceIds) {
+  if (!Array.isArray(workspaceIds)) {
+    throw new Error('Workspace ids must be an array');
+  }
+  
+  const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+  const position = new Map(workspaceIds.map((id, index) => [id, index]));
+  
+  const reordered = [...workspaces].sort((a, b) =>
+    (position.get(a.id) ?? workspaceIds.length) - (position.get(b.id) ?? workspaceIds.length)
+  );
+  
+  await chrome.storage.local.set({ workspaces: reordered });
+  return reordered;
 }
 
-async function restoreWorkspacesFromSnapshots() {
-  try {
-    const { autoSaveSnapshots = [] } = await chrome.storage.local.get('autoSaveSnapshots');
-    
-    if (autoSaveSnapshots.length === 0) {
-      return;
-    }
-    
-    // Get the most recent snapshot
-    const latestSnapshot = autoSaveSnapshots[0];
-    
-    // Restore workspaces from snapshot
-    if (latestSnapshot.workspaces && latestSnapshot.workspaces.length > 0) {
-      await chrome.storage.local.set({ workspaces: latestSnapshot.workspaces });
-      console.log('Workspaces restored from snapshot:', latestSnapshot.id);
-      
-      // Optionally restore tabs as well
-      const settings = await chrome.storage.sync.get('settings');
-      if (settings.settings?.autoRestoreOnStartup && latestSnapshot.tabs) {
-        // Create a recovery workspace with the snapshot tabs
-        const recoveryWorkspace = {
-          id: `recovery_${Date.now()}`,
-          name: 'Recovered Session',
-          tabs: latestSnapshot.tabs,
-          timestamp: Date.now(),
-          isActive: false
-        };
-        
-        const { workspaces = [] } = await chrome.storage.local.get('workspaces');
-        workspaces.unshift(recoveryWorkspace);
-        await chrome.storage.local.set({ workspaces });
-      }
-    }
-  } catch (error) {
-    console.error('Error restoring workspaces from snapshots:', error);
+// Workspace folders and tags
+// Folders live in storage.local as a flat list ({ id, name, parentId, color }); a workspace
+// references its folder through folderId and carries its own tags, color label and favorite flag.
+// The scope picked in the popup (a folder, a tag or favorites) also limits workspace cycling.
+
+async function getWorkspaceFolders() {
+  const { workspaceFolders = [] } = await chrome.storage.local.get('workspaceFolders');
+  return workspaceFolders;
+}
+
+function validateLabelColor(color) {
+  if (color && !TemplateUtils.GROUP_COLORS.includes(color)) {
+    throw new Error(`Unknown color "${color}"`);
   }
+  return color || null;
 }
 
-async function cleanupAutoSaveData() {
-  try {
-    const settings = await chrome.storage.sync.get('settings');
-    const maxAgeHours = 24; // Keep snapshots for 24 hours
-    const maxSnapshots = settings.settings?.maxAutoSaveSnapshots || 10;
-    
-    const { autoSaveSnapshots = [] } = await chrome.storage.local.get('autoSaveSnapshots');
-    const cutoffTime = Date.now() - (maxAgeHours * 60 * 60 * 1000);
-    
-    // Filter out old snapshots
-    const filteredSnapshots = autoSaveSnapshots.filter((snapshot, index) => {
-      return index < maxSnapshots && snapshot.timestamp > cutoffTime;
-    });
-    
-    if (filteredSnapshots.length !== autoSaveSnapshots.length) {
-      await chrome.storage.local.set({ autoSaveSnapshots: filteredSnapshots });
-      console.log(`Cleaned up ${autoSaveSnapshots.length - filteredSnapshots.length} old snapshots`);
-    }
-  } catch (error) {
-    console.error('Error cleaning up auto-save data:', error);
+function validateFolderName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Folder name cannot be empty');
   }
+  if (trimmed.length > 50) {
+    throw new Error('Folder name too long (max 50 characters)');
+  }
+  return trimmed;
 }
 
-async function recoverSelectedWorkspaces(snapshotIds) {
-  try {
-    const { autoSaveSnapshots = [] } = await chrome.storage.local.get('autoSaveSnapshots');
-    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
-    
-    for (const snapshotId of snapshotIds) {
-      const snapshot = autoSaveSnapshots.find(s => s.id === snapshotId);
-      if (snapshot && snapshot.workspaces) {
-        // Add recovered workspaces to current workspaces
-        for (const workspace of snapshot.workspaces) {
-          // Create a recovery version to avoid conflicts
-          const recoveredWorkspace = {
-            ...workspace,
-            id: `recovered_${workspace.id}_${Date.now()}`,
-            name: `${workspace.name} (Recovered)`,
-            isActive: false,
-            timestamp: Date.now()
-          };
-          workspaces.push(recoveredWorkspace);
-        }
-      }
-    }
-    
-    await chrome.storage.local.set({ workspaces });
-    console.log(`Recovered ${snapshotIds.length} workspace snapshots`);
-  } catch (error) {
-    console.error('Error recovering workspaces:', error);
-    throw error;
+async function createWorkspaceFolder(name, parentId = null, color = null) {
+  const folders = await getWorkspaceFolders();
+  
+  if (parentId && !folders.some(folder => folder.id === parentId)) {
+    throw new Error('Parent folder not found');
   }
+  
+  const folder = {
+    id: `folder_${Date.now()}`,
+    name: validateFolderName(name),
+    parentId: parentId || null,
+    color: validateLabelColor(color)
+  };
+  
+  await chrome.storage.local.set({ workspaceFolders: [...folders, folder] });
+  return folder;
 }
 
-// Workspace management functions
-async function saveCurrentWorkspace(name = null, options = {}) {
-  try {
-    const tabs = await chrome.tabs.query({});
-    
-    // Filter out empty tabs and validate
-    const validTabs = tabs.filter(tab => tab.url && !tab.url.startsWith('chrome://'));
-    
-    if (validTabs.length === 0 && !options.allowEmpty) {
-      throw new Error('Cannot create workspace: No valid tabs found');
-    }
-    
-    // Get existing workspaces for duplicate name checking
-    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
-    
-    // Generate unique name if not provided or if duplicate exists
-    let workspaceName = name;
-    if (!workspaceName || workspaces.some(w => w.name === workspaceName)) {
-      workspaceName = await generateUniqueWorkspaceName(workspaces, name);
+/**
+ * Renames, recolors or moves a folder; a folder cannot be moved into itself or its own subfolders
+ */
+async function updateWorkspaceFolder(folderId, changes = {}) {
+  const folders = await getWorkspaceFolders();
+  const folder = folders.find(f => f.id === folderId);
+  
+  if (!folder) {
+    throw new Error('Folder not found');
+  }
+  
+  if (changes.name !== undefined) {
+    folder.name = validateFolderName(changes.name);
+  }
+  
+  if (changes.color !== undefined) {
+    folder.color = validateLabelColor(changes.color);
+  }
+  
+  if (changes.parentId !== undefined) {
+    const parentId = changes.parentId || null;
+    if (parentId && !folders.some(f => f.id === parentId)) {
+      throw new Error('Parent folder not found');
     }
-    
-    // Get settings for workspace configuration
-    const settings = await chrome.storage.sync.get('settings');
-    const maxWorkspaces = settings.settings?.maxWorkspaces || 20;
-    const includePinned = settings.settings?.workspaceIncludePinned !== false;
-    
-    const workspace = {
-      id: Date.now().toString(),
-      name: workspaceName,
-      timestamp: Date.now(),
-      isActive: false,
-      tabCount: validTabs.length,
-      hasUnsavedChanges: false,
-      tabs: validTabs
-        .filter(tab => includePinned || !tab.pinned)
-        .map(tab => ({
-          url: tab.url,
-          title: tab.title || 'Untitled',
-          pinned: tab.pinned,
-          active: tab.active,
-          favIconUrl: tab.favIconUrl
-        }))
-    };
-    
-    // Deactivate other workspaces
-    const updatedWorkspaces = workspaces.map(w => ({ ...w, isActive: false }));
-    updatedWorkspaces.unshift(workspace);
-    
-    // Apply workspace limit
-    if (updatedWorkspaces.length > maxWorkspaces) {
-      updatedWorkspaces.splice(maxWorkspaces);
+    if (parentId && WorkspaceUtils.getFolderDescendantIds(folders, folderId).has(parentId)) {
+      throw new Error('A folder cannot be moved into itself');
     }
-    
-    await chrome.storage.local.set({ workspaces: updatedWorkspaces });
-    showNotification(`Workspace "${workspaceName}" saved successfully`);
-    return workspace;
-  } catch (error) {
-    console.error('Error saving workspace:', error);
-    showNotification(`Failed to save workspace: ${error.message}`, 'error');
-    throw error;
+    folder.parentId = parentId;
   }
+  
+  await chrome.storage.local.set({ workspaceFolders: folders });
+  return folder;
 }
 
-async function generateUniqueWorkspaceName(existingWorkspaces, baseName = null) {
-  const defaultBase = baseName || `Workspace ${new Date().toLocaleString()}`;
-  const existingNames = new Set(existingWorkspaces.map(w => w.name));
+/**
+ * Deletes a folder, handing its subfolders and workspaces to the folder's parent
+ */
+async function deleteWorkspaceFolder(folderId) {
+  const folders = await getWorkspaceFolders();
+  const folder = folders.find(f => f.id === folderId);
   
-  if (!existingNames.has(defaultBase)) {
-    return defaultBase;
+  if (!folder) {
+    throw new Error('Folder not found');
   }
   
-  // Generate numbered variant
-  let counter = 1;
-  let uniqueName;
-  do {
-    uniqueName = `${defaultBase} (${counter})`;
-    counter++;
-  } while (existingNames.has(uniqueName) && counter < 100);
+  const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+  const workspaceFolders = folders
+    .filter(f => f.id !== folderId)
+    .map(f => f.parentId === folderId ? { ...f, parentId: folder.parentId } : f);
+  const updatedWorkspaces = workspaces.map(workspace =>
+    workspace.folderId === folderId ? { ...workspace, folderId: folder.parentId } : workspace
+  );
   
-  return uniqueName;
+  await chrome.storage.local.set({ workspaceFolders, workspaces: updatedWorkspaces });
+  
+  const scope = await getWorkspaceScope();
+  if (scope.type === 'folder' && scope.value === folderId) {
+    await setWorkspaceScope({ type: 'all' });
+  }
 }
 
-async function createCurrentWorkspace() {
-  try {
-    const quickName = `Quick Workspace ${new Date().getHours()}:${String(new Date().getMinutes()).padStart(2, '0')}`;
-    const workspace = await saveCurrentWorkspace(quickName);
-    showNotification(`Workspace "${workspace.name}" created`, 'success');
-  } catch (error) {
-    console.error('Error creating workspace via shortcut:', error);
-    showNotification('Failed to create workspace', 'error');
+/**
+ * Updates a workspace's folder, tags, color label and favorite flag
+ */
+async function organizeWorkspace(workspaceId, changes = {}) {
+  const folders = changes.folderId ? await getWorkspaceFolders() : [];
+  
+  if (changes.folderId && !folders.some(folder => folder.id === changes.folderId)) {
+    throw new Error('Folder not found');
   }
+  
+  const color = changes.color !== undefined ? validateLabelColor(changes.color) : undefined;
+  
+  return await editWorkspace(workspaceId, (workspace) => {
+    if (changes.folderId !== undefined) {
+      workspace.folderId = changes.folderId || null;
+    }
+    if (changes.tags !== undefined) {
+      workspace.tags = WorkspaceUtils.normalizeTags(changes.tags);
+    }
+    if (color !== undefined) {
+      workspace.color = color;
+    }
+    if (changes.favorite !== undefined) {
+      workspace.favorite = !!changes.favorite;
+    }
+  }, { metadataOnly: true });
 }
 
-async function switchToWorkspace(workspaceId, options = {}) {
-  try {
-    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
-    const workspace = workspaces.find(w => w.id === workspaceId);
-    
-    if (!workspace) {
-      throw new Error('Workspace not found');
+async function getWorkspaceScope() {
+  const { workspaceScope } = await chrome.storage.local.get('workspaceScope');
+  return workspaceScope || { type: 'all' };
+}
+
+async function setWorkspaceScope(scope = {}) {
+  const type = ['all', 'favorites', 'folder', 'tag'].includes(scope.type) ? scope.type : 'all';
+  const workspaceScope = type === 'folder' || type === 'tag'
+    ? { type, value: scope.value }
+    : { type };
+  
+  await chrome.storage.local.set({ workspaceScope });
+  return workspaceScope;
+}
+
+// Workspace templates
+// Hand-authored workspace definitions (see TemplateUtils) stored in storage.local.
+// Launching fills in the template's variables and opens it in a new window.
+
+async function getWorkspaceTemplates() {
+  const { workspaceTemplates = [] } = await chrome.storage.local.get('workspaceTemplates');
+  return workspaceTemplates;
+}
+
+/**
+ * Validates and stores the full template list, assigning ids to new templates
+ */
+async function saveWorkspaceTemplates(templates) {
+  if (!Array.isArray(templates)) {
+    throw new Error('Templates must be an array');
+  }
+  
+  for (const template of templates) {
+    const validation = TemplateUtils.validate(template);
+    if (!validation.valid) {
+      throw new Error(validation.error);
     }
+  }
+  
+  const workspaceTemplates = templates.map((template, index) => ({
+    ...template,
+    id: template.id || `template_${Date.now()}_${index}`
+  }));
+  
+  await chrome.storage.local.set({ workspaceTemplates });
+  return workspaceTemplates;
+}
+
+/**
+ * Opens a template in a new window with its variables filled in
+ * Unless the template sets saveAsWorkspace to false, the result is saved as a
+ * workspace bound to the new window
+ */
+async function launchWorkspaceTemplate(templateId, values = {}) {
+  try {
+    const templates = await getWorkspaceTemplates();
+    const template = templates.find(t => t.id === templateId);
     
-    // Check if workspace has valid tabs
-    if (!workspace.tabs || workspace.tabs.length === 0) {
-      const shouldProceed = options.force || await confirmEmptyWorkspace(workspace.name);
-      if (!shouldProceed) {
-        return null;
-      }
+    if (!template) {
+      throw new Error('Template not found');
     }
     
-    // Check for unsaved changes if enabled
-    const settings = await chrome.storage.sync.get('settings');
-    if (settings.settings?.workspaceConfirmSwitch && !options.skipConfirmation) {
-      const currentWorkspace = workspaces.find(w => w.isActive);
-      if (currentWorkspace && await hasUnsavedChanges(currentWorkspace)) {
-        const shouldSave = await confirmUnsavedChanges();
-        if (shouldSave) {
-          await saveCurrentWorkspace(currentWorkspace.name + ' (Auto-saved)', { allowEmpty: true });
-        }
-      }
+    const missing = TemplateUtils.getVariables(template).filter(name => !String(values[name] ?? '').trim());
+    if (missing.length > 0) {
+      throw new Error(`Missing value for ${missing.map(name => `{${name}}`).join(', ')}`);
     }
     
-    // Get current tabs to manage
-    const currentTabs = await chrome.tabs.query({ currentWindow: true });
-    const settings_includePinned = settings.settings?.workspaceIncludePinned !== false;
-    
-    // Close non-pinned tabs (or all tabs if includePinned is true)
-    const tabsToClose = currentTabs
-      .filter(tab => settings_includePinned || !tab.pinned)
-      .map(tab => tab.id);
-    
-    if (tabsToClose.length > 0) {
-      await chrome.tabs.remove(tabsToClose);
+    const resolved = TemplateUtils.resolve(template, values);
+    const invalidTab = resolved.tabs.find(tab => !isValidUrl(tab.url));
+    if (invalidTab) {
+      throw new Error(`Invalid tab URL: ${invalidTab.url}`);
     }
     
-    // Create workspace tabs with error handling
-    const createdTabs = [];
-    const failedTabs = [];
-    
-    for (const [index, tabData] of workspace.tabs.entries()) {
-      try {
-        // Validate URL before creating tab
-        if (!isValidUrl(tabData.url)) {
-          failedTabs.push({ ...tabData, reason: 'Invalid URL' });
-          continue;
-        }
-        
-        const tab = await chrome.tabs.create({
-          url: tabData.url,
-          pinned: tabData.pinned,
-          active: false
-        });
-        
-        createdTabs.push(tab);
-      } catch (error) {
-        console.error(`Failed to create tab ${index}:`, error);
-        failedTabs.push({ ...tabData, reason: error.message });
-      }
-    }
+    // Groups are referenced by name from tabs; undeclared names get a generated color
+    const groupNames = [...new Set([
+      ...resolved.groups.map(group => group.name),
+      ...resolved.tabs.map(tab => tab.group).filter(Boolean)
+    ])];
+    const groupsData = groupNames.map((name, index) => {
+      const declared = resolved.groups.find(group => group.name === name);
+      return {
+        id: index,
+        title: name,
+        color: declared?.color || getAutoGroupColor(name),
+        collapsed: !!declared?.collapsed
+      };
+    });
     
-    // Update workspace states
-    const updatedWorkspaces = workspaces.map(w => ({
-      ...w,
-      isActive: w.id === workspaceId,
-      lastAccessed: w.id === workspaceId ? Date.now() : w.lastAccessed
+    const windowKey = 'template';
+    const windowsData = [{ ...resolved.window, id: windowKey, focused: true }];
+    const tabsData = resolved.tabs.map((tab, index) => ({
+      url: tab.url,
+      title: tab.title || tab.url,
+      pinned: !!tab.pinned,
+      active: index === 0,
+      windowId: windowKey,
+      index,
+      groupId: tab.group && !tab.pinned ? groupNames.indexOf(tab.group) : -1
     }));
     
-    await chrome.storage.local.set({ workspaces: updatedWorkspaces });
-    
-    // Activate the originally active tab
-    await setActiveTab(workspace.tabs, createdTabs);
-    
-    // Show results notification
-    const message = failedTabs.length > 0 
-      ? `Switched to "${workspace.name}" (${failedTabs.length} tabs failed to load)`
-      : `Switched to workspace: ${workspace.name}`;
-    
-    showNotification(message, failedTabs.length > 0 ? 'warning' : 'success');
+    const { createdTabs, failedTabs, windowIds } = await restoreTabsByWindow(tabsData, windowsData, {
+      groups: groupsData
+    });
+    const [windowId] = windowIds;
+    
+    let workspace = null;
+    if (template.saveAsWorkspace !== false) {
+      workspace = await saveLaunchedTemplateWorkspace(resolved, template.id, windowId, {
+        tabs: tabsData.map(tab => ({ ...tab, windowId })),
+        groups: groupsData,
+        windows: [{ ...windowsData[0], id: windowId }]
+      });
+    }
     
-    return { 
-      workspace, 
-      createdTabs, 
-      failedTabs,
-      success: true 
-    };
+    showNotification(`Launched "${resolved.name}"`, failedTabs.length > 0 ? 'warning' : 'success');
+    return { workspace, windowId, createdTabs, failedTabs, success: true };
   } catch (error) {
-    console.error('Error switching to workspace:', error);
-    showNotification(`Failed to switch workspace: ${error.message}`, 'error');
+    console.error('Error launching workspace template:', error);
+    showNotification(`Failed to launch template: ${error.message}`, 'error');
     throw error;
   }
 }
 
-async function setActiveTab(originalTabs, createdTabs) {
-  try {
-    const activeTabData = originalTabs.find(t => t.active);
-    if (activeTabData && createdTabs.length > 0) {
-      const activeTabIndex = originalTabs.indexOf(activeTabData);
-      if (createdTabs[activeTabIndex]) {
-        await chrome.tabs.update(createdTabs[activeTabIndex].id, { active: true });
-      } else if (createdTabs[0]) {
-        // Fallback to first tab if original active tab failed to create
-        await chrome.tabs.update(createdTabs[0].id, { active: true });
-      }
-    }
-  } catch (error) {
-    console.error('Error setting active tab:', error);
-  }
-}
-
-async function deleteWorkspace(workspaceId) {
-  try {
-    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
-    const workspace = workspaces.find(w => w.id === workspaceId);
-    
-    if (!workspace) {
-      throw new Error('Workspace not found');
-    }
-    
-    const updatedWorkspaces = workspaces.filter(w => w.id !== workspaceId);
-    await chrome.storage.local.set({ workspaces: updatedWorkspaces });
-    
-    showNotification(`Workspace "${workspace.name}" deleted`, 'success');
-    return { success: true, deletedWorkspace: workspace };
-  } catch (error) {
-    console.error('Error deleting workspace:', error);
-    showNotification(`Failed to delete workspace: ${error.message}`, 'error');
-    throw error;
-  }
+async function saveLaunchedTemplateWorkspace(resolved, templateId, windowId, contents) {
+  const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+  
+  const workspace = {
+    id: Date.now().toString(),
+    name: await generateUniqueWorkspaceName(workspaces, resolved.name),
+    timestamp: Date.now(),
+    isActive: false,
+    hasUnsavedChanges: false,
+    templateId,
+    tabCount: contents.tabs.length,
+    ...contents
+  };
+  
+  const updatedWorkspaces = await applyWorkspaceLimit([workspace, ...workspaces], [workspace.id]);
+  
+  await saveWindowWorkspaces(
+    WorkspaceUtils.bindWorkspaceToWindow(await getWindowWorkspaces(), workspace.id, windowId),
+    updatedWorkspaces
+  );
+  
+  return workspace;
 }
 
 async function restoreWorkspace(workspaceId) {
@@ -1380,28 +4320,17 @@ async function restoreWorkspace(workspaceId) {
       return { success: true, createdTabs: [] };
     }
     
-    // Create workspace tabs without closing existing ones
-    const createdTabs = [];
-    const failedTabs = [];
-    
-    for (const tabData of workspace.tabs) {
-      try {
-        if (!isValidUrl(tabData.url)) {
-          failedTabs.push({ ...tabData, reason: 'Invalid URL' });
-          continue;
-        }
-        
-        const tab = await chrome.tabs.create({
-          url: tabData.url,
-          pinned: tabData.pinned,
-          active: false
-        });
-        createdTabs.push(tab);
-      } catch (error) {
-        console.error('Failed to restore tab:', error);
-        failedTabs.push({ ...tabData, reason: error.message });
-      }
-    }
+    // Create workspace tabs without closing existing ones
+    const currentWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    const { createdTabs, failedTabs } = await restoreTabsByWindow(workspace.tabs, workspace.windows, {
+      targetWindowId: currentWindow.id,
+      groups: workspace.groups,
+      activateTabs: false
+    });
+    
+    // Recorded for the least-recently-accessed eviction policy
+    workspace.lastAccessed = Date.now();
+    await chrome.storage.local.set({ workspaces });
     
     const message = failedTabs.length > 0 
       ? `Restored "${workspace.name}" (${failedTabs.length} tabs failed)`
@@ -1424,10 +4353,14 @@ async function restoreWorkspace(workspaceId) {
 
 async function cycleThroughWorkspaces() {
   try {
-    const { workspaces = [] } = await chrome.storage.local.get('workspaces');
+    const { workspaces: allWorkspaces = [] } = await chrome.storage.local.get('workspaces');
+    
+    // Only cycle within the folder, tag or favorites picked in the popup
+    const scope = await getWorkspaceScope();
+    const workspaces = WorkspaceUtils.filterWorkspacesByScope(allWorkspaces, await getWorkspaceFolders(), scope);
     
     if (workspaces.length === 0) {
-      showNotification('No workspaces available', 'warning');
+      showNotification(scope.type === 'all' ? 'No workspaces available' : 'No workspaces in the selected scope', 'warning');
       return null;
     }
     
@@ -1436,20 +4369,34 @@ async function cycleThroughWorkspaces() {
       return await switchToWorkspace(workspaces[0].id);
     }
     
-    const activeWorkspace = workspaces.find(w => w.isActive);
-    let nextWorkspace;
+    // Cycle the focused window, skipping workspaces that are open in other windows
+    const focusedWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    const windowWorkspaces = await getWindowWorkspaces();
+    const activeWorkspace = WorkspaceUtils.getWindowWorkspace(workspaces, windowWorkspaces, focusedWindow.id);
+    const boundElsewhere = new Set(
+      Object.entries(windowWorkspaces)
+        .filter(([windowId]) => Number(windowId) !== focusedWindow.id)
+        .map(([, workspaceId]) => workspaceId)
+    );
     
-    if (!activeWorkspace) {
-      // No active workspace, switch to first one
-      nextWorkspace = workspaces[0];
-    } else {
-      // Find next workspace
-      const currentIndex = workspaces.indexOf(activeWorkspace);
-      const nextIndex = (currentIndex + 1) % workspaces.length;
-      nextWorkspace = workspaces[nextIndex];
+    // No active workspace: start from the first one
+    const startIndex = activeWorkspace ? workspaces.indexOf(activeWorkspace) + 1 : 0;
+    let nextWorkspace = null;
+    
+    for (let offset = 0; offset < workspaces.length; offset++) {
+      const candidate = workspaces[(startIndex + offset) % workspaces.length];
+      if (candidate !== activeWorkspace && !boundElsewhere.has(candidate.id)) {
+        nextWorkspace = candidate;
+        break;
+      }
+    }
+    
+    if (!nextWorkspace) {
+      showNotification('All other workspaces are open in other windows', 'info');
+      return null;
     }
     
-    return await switchToWorkspace(nextWorkspace.id, { skipConfirmation: true });
+    return await switchToWorkspace(nextWorkspace.id, { skipConfirmation: true, windowId: focusedWindow.id });
   } catch (error) {
     console.error('Error cycling through workspaces:', error);
     showNotification('Failed to switch workspace', 'error');
@@ -1477,9 +4424,12 @@ function isValidUrl(url) {
   }
 }
 
-async function hasUnsavedChanges(workspace) {
+async function hasUnsavedChanges(workspace, windowId) {
   try {
-    const currentTabs = await chrome.tabs.query({ currentWindow: true });
+    // Compare against the tabs a save would capture, not every tab in the window
+    const settings = await chrome.storage.sync.get('settings');
+    const includePinned = settings.settings?.workspaceIncludePinned !== false;
+    const { tabs: currentTabs } = await captureWorkspaceContents(includePinned, windowId);
     const currentUrls = new Set(currentTabs.map(tab => tab.url));
     const workspaceUrls = new Set(workspace.tabs.map(tab => tab.url));
     
@@ -1493,19 +4443,106 @@ async function hasUnsavedChanges(workspace) {
 }
 
 async function confirmEmptyWorkspace(workspaceName) {
-  // In a real implementation, this would show a confirmation dialog
-  // For now, we'll just return true to proceed
-  console.warn(`Workspace "${workspaceName}" is empty`);
-  return true;
+  const choice = await requestUserConfirmation({
+    title: 'Switch to empty workspace?',
+    message: `Workspace "${workspaceName}" has no tabs. Switching will close the tabs in this window.`,
+    choices: [
+      { value: 'switch', label: 'Switch Anyway' },
+      { value: 'cancel', label: 'Cancel' }
+    ]
+  });
+  
+  return choice === 'switch';
 }
 
-async function confirmUnsavedChanges() {
-  // In a real implementation, this would show a confirmation dialog
-  // For now, we'll return false to not auto-save
-  console.log('Detected unsaved changes in current workspace');
-  return false;
+/**
+ * Asks what to do with unsaved changes before switching
+ * Resolves with 'save', 'discard' or 'cancel'
+ */
+async function confirmUnsavedChanges(currentName, targetName) {
+  return await requestUserConfirmation({
+    title: 'Unsaved workspace changes',
+    message: `"${currentName}" has changed since it was saved. Save it before switching to "${targetName}"?`,
+    choices: [
+      { value: 'save', label: 'Save & Switch' },
+      { value: 'discard', label: 'Discard & Switch' },
+      { value: 'cancel', label: 'Cancel' }
+    ]
+  });
+}
+
+// User confirmation round-trip
+// The question goes to the popup when it is open, otherwise to a notification with buttons
+const CONFIRMATION_TIMEOUT_MS = 120000;
+const CONFIRMATION_KEEPALIVE_MS = 20000;
+const pendingConfirmations = new Map(); // notificationId -> { resolve, values, timeout, keepAlive }
+
+/**
+ * Asks the user to pick one of the prompt's choices
+ * Resolves with the chosen value, or 'cancel' when the prompt is dismissed
+ */
+async function requestUserConfirmation(prompt) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'confirmPrompt', prompt });
+    return response?.choice || 'cancel';
+  } catch (error) {
+    // Closing the popup mid-question closes the message port; treat that as a cancel
+    if (!error.message?.includes('Receiving end does not exist')) {
+      return 'cancel';
+    }
+  }
+  
+  return await requestConfirmationByNotification(prompt);
 }
 
+function requestConfirmationByNotification(prompt) {
+  // Notifications allow two buttons; cancelling is done by closing the notification
+  const buttons = prompt.choices.filter(choice => choice.value !== 'cancel').slice(0, 2);
+  
+  return new Promise((resolve) => {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: prompt.title,
+      message: `${prompt.message} Close this notification to cancel.`,
+      buttons: buttons.map(choice => ({ title: choice.label })),
+      requireInteraction: true
+    }, (notificationId) => {
+      pendingConfirmations.set(notificationId, {
+        resolve,
+        values: buttons.map(choice => choice.value),
+        timeout: setTimeout(() => settleConfirmation(notificationId, 'cancel'), CONFIRMATION_TIMEOUT_MS),
+        // Extension API calls keep the service worker alive while the user decides
+        keepAlive: setInterval(() => chrome.runtime.getPlatformInfo(), CONFIRMATION_KEEPALIVE_MS)
+      });
+    });
+  });
+}
+
+function settleConfirmation(notificationId, choice) {
+  const pending = pendingConfirmations.get(notificationId);
+  if (!pending) {
+    return;
+  }
+  
+  pendingConfirmations.delete(notificationId);
+  clearTimeout(pending.timeout);
+  clearInterval(pending.keepAlive);
+  chrome.notifications.clear(notificationId);
+  pending.resolve(choice);
+}
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const pending = pendingConfirmations.get(notificationId);
+  if (pending) {
+    settleConfirmation(notificationId, pending.values[buttonIndex]);
+  }
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  settleConfirmation(notificationId, 'cancel');
+});
+
 function validateWorkspaceName(name, existingWorkspaces = []) {
   if (!name || typeof name !== 'string') {
     return { valid: false, error: 'Workspace name is required' };
@@ -1530,8 +4567,10 @@ function validateWorkspaceName(name, existingWorkspaces = []) {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.action) {
     case 'getTabs':
-      chrome.tabs.query({}, (tabs) => {
+      queryOpenTabs().then((tabs) => {
         sendResponse({ tabs });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
       });
       return true;
     
@@ -1540,6 +4579,43 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
     
+    case 'tabUpdate':
+      // Content scripts report page activity; only their own tab is updated
+      if (!sender.tab) {
+        sendResponse({ success: false });
+        break;
+      }
+      recordTabEngagement(sender.tab.id, request.data).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'getLeastValuableTabs':
+      getLeastValuableTabs(request.limit).then((tabs) => {
+        sendResponse({ success: true, tabs });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'suspendTabs':
+      Promise.all([
+        Promise.all((request.tabIds || []).map(tabId => chrome.tabs.get(tabId).catch(() => null))),
+        chrome.storage.sync.get('settings')
+      ]).then(([tabs, { settings = {} }]) => {
+        // The same exclusions as auto-suspend: pinned, audible and protected tabs stay loaded
+        return suspendInactiveTabs(tabs.filter(tab =>
+          tab && !tab.discarded && !shouldExcludeFromAutoClose(tab, settings, settings.protectedDomains || [])
+        ));
+      }).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
     case 'switchToTab':
       chrome.tabs.update(request.tabId, { active: true });
       chrome.windows.update(request.windowId, { focused: true });
@@ -1559,7 +4635,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
     
     case 'createWorkspace':
-      saveCurrentWorkspace(request.name).then((workspace) => {
+      saveCurrentWorkspace(request.name, { windowId: request.windowId }).then((workspace) => {
         sendResponse({ success: true, workspace });
       }).catch((error) => {
         sendResponse({ error: error.message });
@@ -1567,22 +4643,25 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
     
     case 'getWorkspaces':
-      chrome.storage.local.get('workspaces', (result) => {
-        sendResponse({ workspaces: result.workspaces || [] });
+      chrome.storage.local.get(['workspaces', 'workspaceWindows'], (result) => {
+        sendResponse({
+          workspaces: result.workspaces || [],
+          windowWorkspaces: result.workspaceWindows || {}
+        });
       });
       return true;
     
     case 'switchWorkspace':
-      switchToWorkspace(request.workspaceId).then(() => {
-        sendResponse({ success: true });
+      switchToWorkspace(request.workspaceId, { windowId: request.windowId }).then((result) => {
+        sendResponse({ success: true, cancelled: result === null, undoId: result?.undoId || null });
       }).catch((error) => {
         sendResponse({ error: error.message });
       });
       return true;
     
     case 'deleteWorkspace':
-      deleteWorkspace(request.workspaceId).then(() => {
-        sendResponse({ success: true });
+      deleteWorkspace(request.workspaceId).then((result) => {
+        sendResponse({ success: true, undoId: result.undoId });
       }).catch((error) => {
         sendResponse({ error: error.message });
       });
@@ -1596,14 +4675,236 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
       return true;
     
+    case 'renameWorkspace':
+      renameWorkspace(request.workspaceId, request.name).then((workspace) => {
+        sendResponse({ success: true, workspace });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'updateWorkspaceTabs':
+      updateWorkspaceTabs(request.workspaceId, request.tabs).then((workspace) => {
+        sendResponse({ success: true, workspace });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'addTabToWorkspace':
+      addTabToWorkspace(request.workspaceId, request.tab, request.position ?? null).then((workspace) => {
+        sendResponse({ success: true, workspace });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'removeTabFromWorkspace':
+      removeTabFromWorkspace(request.workspaceId, request.tabIndex).then((workspace) => {
+        sendResponse({ success: true, workspace });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'moveTabBetweenWorkspaces':
+      moveTabBetweenWorkspaces(request.sourceWorkspaceId, request.targetWorkspaceId, request.tabIndex, request.position ?? null).then((result) => {
+        sendResponse({ success: true, ...result });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'getWorkspaceTemplates':
+      getWorkspaceTemplates().then((templates) => {
+        sendResponse({
+          templates: templates.map(template => ({
+            ...template,
+            variables: TemplateUtils.getVariables(template)
+          }))
+        });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'saveWorkspaceTemplates':
+      saveWorkspaceTemplates(request.templates).then((templates) => {
+        sendResponse({ success: true, templates });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'launchWorkspaceTemplate':
+      launchWorkspaceTemplate(request.templateId, request.values).then((result) => {
+        sendResponse({ success: true, workspace: result.workspace, failedTabs: result.failedTabs });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'getWorkspaceFolders':
+      Promise.all([getWorkspaceFolders(), getWorkspaceScope()]).then(([folders, scope]) => {
+        sendResponse({ success: true, folders, scope });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'createWorkspaceFolder':
+      createWorkspaceFolder(request.name, request.parentId, request.color).then((folder) => {
+        sendResponse({ success: true, folder });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'updateWorkspaceFolder':
+      updateWorkspaceFolder(request.folderId, request.changes).then((folder) => {
+        sendResponse({ success: true, folder });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'deleteWorkspaceFolder':
+      deleteWorkspaceFolder(request.folderId).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'organizeWorkspace':
+      organizeWorkspace(request.workspaceId, request.changes).then((workspace) => {
+        sendResponse({ success: true, workspace });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'setWorkspaceScope':
+      setWorkspaceScope(request.scope).then((scope) => {
+        sendResponse({ success: true, scope });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'getArchive':
+      searchArchive(request.query, request.kind).then((entries) => {
+        sendResponse({ success: true, entries, maxEntries: MAX_ARCHIVE_ENTRIES });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'restoreArchivedItem':
+      restoreArchivedItem(request.archiveId).then((result) => {
+        sendResponse({ success: true, ...result });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'deleteArchivedItem':
+      deleteArchivedItem(request.archiveId).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'reorderWorkspaces':
+      reorderWorkspaces(request.workspaceIds).then((workspaces) => {
+        sendResponse({ success: true, workspaces });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
     case 'closeAllDuplicates':
-      closeAllDuplicates().then(() => {
+      closeAllDuplicates({ policy: request.policy, windowId: request.windowId }).then((result) => {
+        sendResponse({ success: true, undoId: result?.undoId || null });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'getDuplicateClusters':
+      getDuplicateClusters({ policy: request.policy, windowId: request.windowId }).then((clusters) => {
+        sendResponse({ success: true, clusters });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'closeTabs':
+      Promise.all((request.tabIds || []).map(tabId => chrome.tabs.get(tabId).catch(() => null))).then((tabs) => {
+        const openTabs = tabs.filter(Boolean);
+        return closeTabsWithUndo(openTabs, request.label || `Closed ${openTabs.length} tabs`);
+      }).then((undoId) => {
+        sendResponse({ success: true, undoId });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'clearStoredData':
+      clearStoredData(request.keys ?? null, request.label || 'Cleared data').then((undoId) => {
+        sendResponse({ success: true, undoId });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'getUndoJournal':
+      getUndoJournal().then((entries) => {
+        sendResponse({ entries });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'undoOperation':
+      undoOperation(request.undoId).then((message) => {
+        sendResponse({ success: true, message });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'getParkedTabs':
+      chrome.storage.local.get('parkedTabs', (result) => {
+        sendResponse({ parkedTabs: result.parkedTabs || [] });
+      });
+      return true;
+    
+    case 'restoreParkedTab':
+      restoreParkedTab(request.parkedId).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'clearParkedTabs':
+      chrome.storage.local.set({ parkedTabs: [] }).then(() => {
         sendResponse({ success: true });
       }).catch((error) => {
         sendResponse({ error: error.message });
       });
       return true;
     
+    case 'regroupAllTabs':
+      regroupAllTabs().then((result) => {
+        sendResponse({ success: true, groupedCount: result.groupedCount });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
     case 'saveCurrentSession':
       saveCurrentSession().then(() => {
         sendResponse({ success: true });
@@ -1620,9 +4921,42 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
       return true;
     
+    case 'restoreSession':
+      restoreSession(request.sessionId, { mode: request.mode }).then((result) => {
+        sendResponse({
+          success: true,
+          createdTabs: result.createdTabs,
+          failedTabs: result.failedTabs
+        });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
     case 'getAutoSaveSnapshots':
-      chrome.storage.local.get('autoSaveSnapshots', (result) => {
-        sendResponse({ snapshots: result.autoSaveSnapshots || [] });
+      Promise.all([
+        getAutoSaveSnapshots(),
+        getSnapshotIndex().then(index => chrome.storage.local.getBytesInUse(['snapshotIndex', ...index.map(entry => entry.key)]))
+      ]).then(([snapshots, storageBytes]) => {
+        sendResponse({ snapshots, storageBytes });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'diffSnapshots':
+      diffSnapshots(request.fromId, request.toId).then((diff) => {
+        sendResponse({ success: true, diff });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'restoreSnapshot':
+      restoreSnapshot(request.snapshotId, request.options).then((result) => {
+        sendResponse(result);
+      }).catch((error) => {
+        sendResponse({ error: error.message });
       });
       return true;
     
@@ -1670,22 +5004,43 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
       return true;
     
-    case 'getAutoSaveStatus':
-      sendResponse({
-        isEnabled: !!autoSaveTimer,
-        isInProgress: isAutoSaveInProgress,
-        failureCount: autoSaveFailureCount,
-        disabledUntil: autoSaveDisabledUntil,
-        lastAttempt: lastAutoSaveAttempt
+    case 'updateSessionBackupSettings':
+      scheduleSessionBackup(request.settings).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
       });
-      break;
-      chrome.storage.local.set({ autoSaveSnapshots: [] }).then(() => {
+      return true;
+    
+    case 'getIncidentLog':
+      Promise.all([getIncidentLog(), getLivenessRecord()]).then(([incidents, liveness]) => {
+        sendResponse({ incidents, liveness });
+      }).catch((error) => {
+        sendResponse({ error: error.message });
+      });
+      return true;
+    
+    case 'clearIncidentLog':
+      chrome.storage.local.set({ incidentLog: [] }).then(() => {
         sendResponse({ success: true });
       }).catch((error) => {
         sendResponse({ error: error.message });
       });
       return true;
     
+    case 'getAutoSaveStatus':
+      chrome.alarms.get('autoSaveSnapshot').then((alarm) => {
+        sendResponse({
+          isEnabled: !!alarm,
+          isInProgress: isAutoSaveInProgress,
+          failureCount: autoSaveFailureCount,
+          disabledUntil: autoSaveDisabledUntil,
+          lastAttempt: lastAutoSaveAttempt,
+          nextRun: alarm?.scheduledTime || null
+        });
+      });
+      return true;
+    
     default:
       sendResponse({ error: 'Unknown action' });
   }
@@ -1695,20 +5050,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 chrome.runtime.onSuspend.addListener(async () => {
   console.log('GodTabs extension shutting down');
   
-  // Clear extension running flag
-  await chrome.storage.local.remove('extensionRunning');
-  
-  // Clear auto-save timer and reset failure tracking
-  if (autoSaveTimer) {
-    clearInterval(autoSaveTimer);
-    autoSaveTimer = null;
-  }
-  
-  // Clear inactive tabs timer
-  if (inactiveTabsTimer) {
-    clearInterval(inactiveTabsTimer);
-    inactiveTabsTimer = null;
-  }
+  // Scheduled alarms are left in place so they wake the worker again
   
   // Reset auto-save failure tracking on clean shutdown
   resetAutoSaveFailureTracking();
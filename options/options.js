@@ -15,6 +15,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Load data statistics
   await loadDataStatistics();
+  
+  // Load workspace templates
+  await loadWorkspaceTemplates();
 });
 
 let currentSettings = {};
@@ -59,10 +62,24 @@ function setupEventListeners() {
   
   // Tab management settings
   document.getElementById('auto-close-duplicates').addEventListener('change', handleSettingChange);
+  document.getElementById('prevent-duplicate-navigation').addEventListener('change', handleSettingChange);
+  document.getElementById('duplicate-allowlist').addEventListener('input', handleSettingChange);
+  document.getElementById('duplicate-url-rules').addEventListener('input', handleSettingChange);
+  document.getElementById('duplicate-keep-policy').addEventListener('change', handleSettingChange);
   document.getElementById('auto-group-tabs').addEventListener('change', handleSettingChange);
+  document.getElementById('auto-group-rules').addEventListener('input', handleSettingChange);
   document.getElementById('max-tab-history').addEventListener('change', handleSettingChange);
   document.getElementById('track-tab-history').addEventListener('change', handleSettingChange);
   document.getElementById('tab-limit').addEventListener('change', handleSettingChange);
+  document.getElementById('tab-limit-scope').addEventListener('change', handleSettingChange);
+  document.getElementById('tab-limit-policy').addEventListener('change', handleSettingChange);
+  document.getElementById('lazy-restore').addEventListener('change', handleSettingChange);
+  document.getElementById('lazy-restore-eager-count').addEventListener('change', handleSettingChange);
+  document.getElementById('lazy-restore-progressive').addEventListener('change', handleSettingChange);
+  document.getElementById('restore-concurrency').addEventListener('change', handleSettingChange);
+  document.getElementById('archive-eviction-policy').addEventListener('change', handleSettingChange);
+  document.getElementById('archive-protect-favorites').addEventListener('change', handleSettingChange);
+  document.getElementById('archive-search').addEventListener('input', UIUtils.debounce(loadArchive, 300));
   
   // Auto-close inactive tabs settings
   document.getElementById('auto-close-inactive-tabs').addEventListener('change', handleSettingChange);
@@ -78,6 +95,11 @@ function setupEventListeners() {
   document.getElementById('max-sessions').addEventListener('change', handleSettingChange);
   document.getElementById('include-pinned-tabs').addEventListener('change', handleSettingChange);
   document.getElementById('restore-active-tab').addEventListener('change', handleSettingChange);
+  document.getElementById('snapshot-retention-keep-all-hours').addEventListener('change', handleSettingChange);
+  document.getElementById('snapshot-retention-hourly-days').addEventListener('change', handleSettingChange);
+  document.getElementById('snapshot-retention-daily-days').addEventListener('change', handleSettingChange);
+  document.getElementById('snapshot-retention-weekly-weeks').addEventListener('change', handleSettingChange);
+  document.getElementById('snapshot-storage-budget').addEventListener('change', handleSettingChange);
   
   // Workspace settings
   document.getElementById('workspace-auto-save').addEventListener('change', handleSettingChange);
@@ -85,11 +107,13 @@ function setupEventListeners() {
   document.getElementById('workspace-include-pinned').addEventListener('change', handleSettingChange);
   document.getElementById('workspace-confirm-delete').addEventListener('change', handleSettingChange);
   document.getElementById('workspace-confirm-switch').addEventListener('change', handleSettingChange);
+  document.getElementById('workspace-switch-mode').addEventListener('change', handleSettingChange);
   
   // Workspace management
   document.getElementById('export-workspaces').addEventListener('click', exportWorkspaces);
   document.getElementById('import-workspaces').addEventListener('click', importWorkspaces);
   document.getElementById('clear-workspaces').addEventListener('click', clearWorkspaces);
+  document.getElementById('save-workspace-templates').addEventListener('click', saveWorkspaceTemplates);
   
   // Data management
   document.getElementById('export-data').addEventListener('click', exportData);
@@ -101,8 +125,10 @@ function setupEventListeners() {
   
   // Auto-save management
   document.getElementById('view-recovery-data').addEventListener('click', viewRecoveryData);
+  document.getElementById('run-snapshot-diff').addEventListener('click', showSnapshotDiff);
   document.getElementById('clear-auto-save-data').addEventListener('click', clearAutoSaveData);
   document.getElementById('test-recovery').addEventListener('click', testRecovery);
+  document.getElementById('clear-incident-log').addEventListener('click', clearIncidentLog);
   
   // Import modal
   document.getElementById('close-import-modal').addEventListener('click', hideImportModal);
@@ -183,10 +209,23 @@ function applySettingsToForm(settings) {
   
   // Tab management settings
   document.getElementById('auto-close-duplicates').checked = settings.autoCloseDuplicates || false;
+  document.getElementById('prevent-duplicate-navigation').checked = settings.preventDuplicateNavigation || false;
+  document.getElementById('duplicate-allowlist').value = (settings.duplicateAllowlist || []).join('\n');
   document.getElementById('auto-group-tabs').checked = settings.autoGroupTabs || false;
+  document.getElementById('auto-group-rules').value = formatAutoGroupRules(settings.autoGroupRules || []);
+  document.getElementById('duplicate-url-rules').value = CanonicalURLUtils.formatRules(settings.duplicateUrlRules || []);
+  document.getElementById('duplicate-keep-policy').value = settings.duplicateKeepPolicy || 'recentlyActive';
   document.getElementById('max-tab-history').value = settings.maxTabHistory || 100;
   document.getElementById('track-tab-history').checked = settings.trackTabHistory !== false;
   document.getElementById('tab-limit').value = settings.tabLimit || 50;
+  document.getElementById('tab-limit-scope').value = settings.tabLimitScope || 'window';
+  document.getElementById('tab-limit-policy').value = settings.tabLimitPolicy || 'warn';
+  document.getElementById('lazy-restore').checked = settings.lazyRestore || false;
+  document.getElementById('lazy-restore-eager-count').value = settings.lazyRestoreEagerCount ?? 3;
+  document.getElementById('lazy-restore-progressive').checked = settings.lazyRestoreProgressive !== false;
+  document.getElementById('restore-concurrency').value = settings.restoreConcurrency || 4;
+  document.getElementById('archive-eviction-policy').value = settings.archiveEvictionPolicy || 'oldest';
+  document.getElementById('archive-protect-favorites').checked = settings.archiveProtectFavorites !== false;
   
   // Auto-close inactive tabs settings
   document.getElementById('auto-close-inactive-tabs').checked = settings.autoCloseInactiveTabs || false;
@@ -206,7 +245,11 @@ function applySettingsToForm(settings) {
   // Auto-save settings
   document.getElementById('auto-save-enabled').checked = settings.autoSaveEnabled !== false;
   document.getElementById('auto-save-interval').value = settings.autoSaveInterval || 60;
-  document.getElementById('max-auto-save-snapshots').value = settings.maxAutoSaveSnapshots || 10;
+  document.getElementById('snapshot-retention-keep-all-hours').value = settings.snapshotRetentionKeepAllHours ?? 1;
+  document.getElementById('snapshot-retention-hourly-days').value = settings.snapshotRetentionHourlyDays ?? 1;
+  document.getElementById('snapshot-retention-daily-days').value = settings.snapshotRetentionDailyDays ?? 7;
+  document.getElementById('snapshot-retention-weekly-weeks').value = settings.snapshotRetentionWeeklyWeeks ?? 4;
+  document.getElementById('snapshot-storage-budget').value = settings.snapshotStorageBudgetMB || 4;
   document.getElementById('enable-crash-recovery').checked = settings.enableCrashRecovery !== false;
   document.getElementById('auto-restore-on-startup').checked = settings.autoRestoreOnStartup !== false;
   document.getElementById('show-recovery-notifications').checked = settings.showRecoveryNotifications !== false;
@@ -217,6 +260,7 @@ function applySettingsToForm(settings) {
   document.getElementById('workspace-include-pinned').checked = settings.workspaceIncludePinned !== false;
   document.getElementById('workspace-confirm-delete').checked = settings.workspaceConfirmDelete !== false;
   document.getElementById('workspace-confirm-switch').checked = settings.workspaceConfirmSwitch || false;
+  document.getElementById('workspace-switch-mode').value = settings.workspaceSwitchMode || 'close';
 }
 
 function getDefaultSettings() {
@@ -228,10 +272,23 @@ function getDefaultSettings() {
     rememberSearch: false,
     enableKeyboardShortcuts: true,
     autoCloseDuplicates: false,
+    preventDuplicateNavigation: false,
+    duplicateAllowlist: [],
     autoGroupTabs: false,
+    autoGroupRules: [],
+    duplicateUrlRules: [],
+    duplicateKeepPolicy: 'recentlyActive',
     maxTabHistory: 100,
     trackTabHistory: true,
     tabLimit: 50,
+    tabLimitScope: 'window',
+    tabLimitPolicy: 'warn',
+    lazyRestore: false,
+    lazyRestoreEagerCount: 3,
+    lazyRestoreProgressive: true,
+    restoreConcurrency: 4,
+    archiveEvictionPolicy: 'oldest',
+    archiveProtectFavorites: true,
     enableAutoBackup: false,
     sessionBackupInterval: 30,
     maxSessions: 50,
@@ -242,9 +299,14 @@ function getDefaultSettings() {
     workspaceIncludePinned: true,
     workspaceConfirmDelete: true,
     workspaceConfirmSwitch: false,
+    workspaceSwitchMode: 'close',
     autoSaveEnabled: true,
     autoSaveInterval: 60,
-    maxAutoSaveSnapshots: 10,
+    snapshotRetentionKeepAllHours: 1,
+    snapshotRetentionHourlyDays: 1,
+    snapshotRetentionDailyDays: 7,
+    snapshotRetentionWeeklyWeeks: 4,
+    snapshotStorageBudgetMB: 4,
     enableCrashRecovery: true,
     autoRestoreOnStartup: true,
     showRecoveryNotifications: true,
@@ -258,6 +320,25 @@ function getDefaultSettings() {
   };
 }
 
+// Auto-group rules are edited as "pattern | group name | color" lines
+function parseAutoGroupRules(text) {
+  return text
+    .split('\n')
+    .map(line => line.split('|').map(part => part.trim()))
+    .filter(([pattern, groupName]) => pattern && groupName)
+    .map(([pattern, groupName, color]) => ({
+      pattern,
+      groupName,
+      color: color ? color.toLowerCase() : null
+    }));
+}
+
+function formatAutoGroupRules(rules) {
+  return rules
+    .map(rule => [rule.pattern, rule.groupName, rule.color].filter(Boolean).join(' | '))
+    .join('\n');
+}
+
 function handleSettingChange() {
   hasUnsavedChanges = true;
   updateSaveButtonState();
@@ -278,6 +359,14 @@ function updateSaveButtonState() {
 
 async function saveSettings() {
   try {
+    // Rules with a broken id regex would silently stop matching; refuse to save them
+    const ruleErrors = [];
+    const duplicateUrlRules = CanonicalURLUtils.parseRules(document.getElementById('duplicate-url-rules').value, ruleErrors);
+    if (ruleErrors.length > 0) {
+      showNotification(`Duplicate matching rules: ${ruleErrors.join('; ')}`, 'error');
+      return;
+    }
+    
     // Collect settings from form
     const newSettings = {
       theme: document.getElementById('theme-select').value,
@@ -287,10 +376,26 @@ async function saveSettings() {
       rememberSearch: document.getElementById('remember-search').checked,
       enableKeyboardShortcuts: document.getElementById('enable-shortcuts').checked,
       autoCloseDuplicates: document.getElementById('auto-close-duplicates').checked,
+      preventDuplicateNavigation: document.getElementById('prevent-duplicate-navigation').checked,
+      duplicateAllowlist: document.getElementById('duplicate-allowlist').value
+        .split('\n')
+        .map(pattern => pattern.trim())
+        .filter(pattern => pattern.length > 0),
       autoGroupTabs: document.getElementById('auto-group-tabs').checked,
+      autoGroupRules: parseAutoGroupRules(document.getElementById('auto-group-rules').value),
+      duplicateUrlRules,
+      duplicateKeepPolicy: document.getElementById('duplicate-keep-policy').value,
       maxTabHistory: parseInt(document.getElementById('max-tab-history').value),
       trackTabHistory: document.getElementById('track-tab-history').checked,
       tabLimit: parseInt(document.getElementById('tab-limit').value),
+      tabLimitScope: document.getElementById('tab-limit-scope').value,
+      tabLimitPolicy: document.getElementById('tab-limit-policy').value,
+      lazyRestore: document.getElementById('lazy-restore').checked,
+      lazyRestoreEagerCount: parseInt(document.getElementById('lazy-restore-eager-count').value),
+      lazyRestoreProgressive: document.getElementById('lazy-restore-progressive').checked,
+      restoreConcurrency: parseInt(document.getElementById('restore-concurrency').value),
+      archiveEvictionPolicy: document.getElementById('archive-eviction-policy').value,
+      archiveProtectFavorites: document.getElementById('archive-protect-favorites').checked,
       enableAutoBackup: document.getElementById('enable-auto-backup').checked,
       sessionBackupInterval: parseInt(document.getElementById('backup-interval').value),
       maxSessions: parseInt(document.getElementById('max-sessions').value),
@@ -298,7 +403,11 @@ async function saveSettings() {
       restoreActiveTab: document.getElementById('restore-active-tab').checked,
       autoSaveEnabled: document.getElementById('auto-save-enabled').checked,
       autoSaveInterval: parseInt(document.getElementById('auto-save-interval').value),
-      maxAutoSaveSnapshots: parseInt(document.getElementById('max-auto-save-snapshots').value),
+      snapshotRetentionKeepAllHours: parseInt(document.getElementById('snapshot-retention-keep-all-hours').value),
+      snapshotRetentionHourlyDays: parseInt(document.getElementById('snapshot-retention-hourly-days').value),
+      snapshotRetentionDailyDays: parseInt(document.getElementById('snapshot-retention-daily-days').value),
+      snapshotRetentionWeeklyWeeks: parseInt(document.getElementById('snapshot-retention-weekly-weeks').value),
+      snapshotStorageBudgetMB: parseInt(document.getElementById('snapshot-storage-budget').value),
       enableCrashRecovery: document.getElementById('enable-crash-recovery').checked,
       autoRestoreOnStartup: document.getElementById('auto-restore-on-startup').checked,
       showRecoveryNotifications: document.getElementById('show-recovery-notifications').checked,
@@ -307,6 +416,7 @@ async function saveSettings() {
       workspaceIncludePinned: document.getElementById('workspace-include-pinned').checked,
       workspaceConfirmDelete: document.getElementById('workspace-confirm-delete').checked,
       workspaceConfirmSwitch: document.getElementById('workspace-confirm-switch').checked,
+      workspaceSwitchMode: document.getElementById('workspace-switch-mode').value,
       // Auto-close inactive tabs settings
       autoCloseInactiveTabs: document.getElementById('auto-close-inactive-tabs').checked,
       inactiveTabTimeoutMinutes: parseInt(document.getElementById('inactive-tab-timeout').value),
@@ -322,6 +432,7 @@ async function saveSettings() {
     // Save to storage
     await chrome.storage.sync.set({ settings: newSettings });
     
+    const previousSettings = currentSettings;
     currentSettings = newSettings;
     hasUnsavedChanges = false;
     updateSaveButtonState();
@@ -330,23 +441,31 @@ async function saveSettings() {
     console.log('Settings saved:', newSettings);
     
     // Notify background script of settings changes
-    if (newSettings.autoSaveEnabled !== currentSettings.autoSaveEnabled || 
-        newSettings.autoSaveInterval !== currentSettings.autoSaveInterval) {
+    if (newSettings.autoSaveEnabled !== previousSettings.autoSaveEnabled || 
+        newSettings.autoSaveInterval !== previousSettings.autoSaveInterval) {
       chrome.runtime.sendMessage({
         action: 'updateAutoSaveSettings',
         settings: newSettings
       });
     }
     
-    if (newSettings.autoCloseInactiveTabs !== currentSettings.autoCloseInactiveTabs ||
-        newSettings.inactiveTabTimeoutMinutes !== currentSettings.inactiveTabTimeoutMinutes ||
-        JSON.stringify(newSettings.protectedDomains) !== JSON.stringify(currentSettings.protectedDomains)) {
+    if (newSettings.autoCloseInactiveTabs !== previousSettings.autoCloseInactiveTabs ||
+        newSettings.inactiveTabTimeoutMinutes !== previousSettings.inactiveTabTimeoutMinutes ||
+        JSON.stringify(newSettings.protectedDomains) !== JSON.stringify(previousSettings.protectedDomains)) {
       chrome.runtime.sendMessage({
         action: 'updateInactiveTabsSettings',
         settings: newSettings
       });
     }
     
+    if (newSettings.sessionBackupInterval !== previousSettings.sessionBackupInterval ||
+        newSettings.enableAutoBackup !== previousSettings.enableAutoBackup) {
+      chrome.runtime.sendMessage({
+        action: 'updateSessionBackupSettings',
+        settings: newSettings
+      });
+    }
+    
     // Reload auto-save status after settings change
     await loadAutoSaveStatus();
   } catch (error) {
@@ -399,8 +518,17 @@ async function loadDataStatistics() {
     // Update workspace-specific statistics
     await loadWorkspaceStatistics(workspacesData);
     
+    // Load archived workspaces and sessions
+    await loadArchive();
+    
     // Load auto-save status
     await loadAutoSaveStatus();
+    
+    // Load detected crashes and restarts
+    await loadIncidentLog();
+    
+    // Load operations that can be undone
+    await loadUndoJournal();
   } catch (error) {
     console.error('Error loading data statistics:', error);
   }
@@ -410,11 +538,14 @@ async function loadDataStatistics() {
 async function loadWorkspaceStatistics(workspacesData) {
   try {
     const workspacesCount = workspacesData.length;
-    const activeWorkspace = workspacesData.find(w => w.isActive) || null;
+    // Workspaces can be open in several windows at once
+    const activeWorkspaces = workspacesData.filter(w => w.isActive);
     const totalTabsCount = workspacesData.reduce((total, workspace) => total + workspace.tabs.length, 0);
     
     document.getElementById('workspaces-count').textContent = `${workspacesCount}`;
-    document.getElementById('active-workspace').textContent = activeWorkspace ? activeWorkspace.name : 'None';
+    document.getElementById('active-workspace').textContent = activeWorkspaces.length > 0
+      ? activeWorkspaces.map(w => w.name).join(', ')
+      : 'None';
     document.getElementById('workspace-tabs-count').textContent = `${totalTabsCount}`;
   } catch (error) {
     console.error('Error loading workspace statistics:', error);
@@ -491,16 +622,18 @@ async function importData() {
       return;
     }
     
-    // Import data
-    await chrome.storage.sync.clear();
-    await chrome.storage.local.clear();
+    // Journal the current data first so the import can be undone
+    await clearStoredData(null, 'Imported data from backup');
     
     if (importData.sync) {
       await chrome.storage.sync.set(importData.sync);
     }
     
     if (importData.local) {
-      await chrome.storage.local.set(importData.local);
+      // Keep the journal that holds the entry above
+      const local = { ...importData.local };
+      delete local.undoJournal;
+      await chrome.storage.local.set(local);
     }
     
     hideImportModal();
@@ -509,6 +642,7 @@ async function importData() {
     // Reload settings and statistics
     await loadSettings();
     await loadDataStatistics();
+    await loadUndoJournal();
   } catch (error) {
     console.error('Error importing data:', error);
     showNotification('Error importing data: Invalid file format', 'error');
@@ -516,9 +650,9 @@ async function importData() {
 }
 
 async function clearSessions() {
-  if (confirm('Are you sure you want to clear all saved sessions? This action cannot be undone.')) {
+  if (confirm('Are you sure you want to clear all saved sessions?')) {
     try {
-      await chrome.storage.local.remove('sessions');
+      await clearStoredData(['sessions'], 'Cleared all sessions');
       showNotification('All sessions cleared', 'success');
       await loadDataStatistics();
     } catch (error) {
@@ -529,9 +663,9 @@ async function clearSessions() {
 }
 
 async function clearHistory() {
-  if (confirm('Are you sure you want to clear tab history? This action cannot be undone.')) {
+  if (confirm('Are you sure you want to clear tab history?')) {
     try {
-      await chrome.storage.local.remove('tabHistory');
+      await clearStoredData(['tabHistory'], 'Cleared tab history');
       showNotification('Tab history cleared', 'success');
       await loadDataStatistics();
     } catch (error) {
@@ -542,10 +676,10 @@ async function clearHistory() {
 }
 
 async function resetAllData() {
-  if (confirm('Are you sure you want to reset ALL extension data? This will clear all settings, sessions, and history. This action cannot be undone.')) {
+  if (confirm('Are you sure you want to reset ALL extension data? This will clear all settings, sessions, and history.')) {
     try {
-      await chrome.storage.sync.clear();
-      await chrome.storage.local.clear();
+      // keys: null clears storage.local and storage.sync, keeping the undo journal
+      await clearStoredData(null, 'Reset all data');
       
       // Set default settings
       const defaultSettings = getDefaultSettings();
@@ -567,10 +701,12 @@ async function resetAllData() {
 // Workspace management functions
 async function exportWorkspaces() {
   try {
-    const result = await chrome.storage.local.get('workspaces');
+    const result = await chrome.storage.local.get(['workspaces', 'workspaceFolders']);
+    // Workspaces reference their folder by folderId; folders nest through parentId
     const workspacesData = {
-      version: '1.0.0',
+      version: '1.1.0',
       timestamp: Date.now(),
+      folders: result.workspaceFolders || [],
       workspaces: result.workspaces || []
     };
     
@@ -613,8 +749,22 @@ async function importWorkspaces() {
         return;
       }
       
-      // Import workspaces
-      await chrome.storage.local.set({ workspaces: importData.workspaces });
+      // Windows stay bound only to workspaces that survive the import, and isActive follows the bindings
+      const { workspaceWindows = {} } = await chrome.storage.local.get('workspaceWindows');
+      const importedIds = new Set(importData.workspaces.map(workspace => workspace.id));
+      const keptBindings = Object.fromEntries(
+        Object.entries(workspaceWindows).filter(([, workspaceId]) => importedIds.has(workspaceId))
+      );
+      
+      // Import workspaces, plus their folder hierarchy when the backup carries one (1.1.0+)
+      const imported = {
+        workspaces: WorkspaceUtils.applyWindowBindings(importData.workspaces, keptBindings),
+        workspaceWindows: keptBindings
+      };
+      if (Array.isArray(importData.folders)) {
+        imported.workspaceFolders = importData.folders;
+      }
+      await chrome.storage.local.set(imported);
       
       showNotification('Workspaces imported successfully', 'success');
       
@@ -630,9 +780,9 @@ async function importWorkspaces() {
 }
 
 async function clearWorkspaces() {
-  if (confirm('Are you sure you want to clear all saved workspaces? This action cannot be undone.')) {
+  if (confirm('Are you sure you want to clear all saved workspaces?')) {
     try {
-      await chrome.storage.local.remove('workspaces');
+      await clearStoredData(['workspaces'], 'Cleared all workspaces');
       showNotification('All workspaces cleared', 'success');
       await loadDataStatistics();
     } catch (error) {
@@ -642,6 +792,49 @@ async function clearWorkspaces() {
   }
 }
 
+// Workspace templates
+async function loadWorkspaceTemplates() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getWorkspaceTemplates' });
+    // Variables are derived by the background; they are not part of the stored template
+    const templates = (response.templates || []).map(({ variables, ...template }) => template);
+    
+    document.getElementById('workspace-templates').value = templates.length > 0
+      ? JSON.stringify(templates, null, 2)
+      : '';
+  } catch (error) {
+    console.error('Error loading workspace templates:', error);
+  }
+}
+
+async function saveWorkspaceTemplates() {
+  const text = document.getElementById('workspace-templates').value.trim();
+  let templates;
+  
+  try {
+    templates = text ? JSON.parse(text) : [];
+  } catch (error) {
+    showNotification(`Templates are not valid JSON: ${error.message}`, 'error');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'saveWorkspaceTemplates', templates });
+    
+    if (response.success) {
+      document.getElementById('workspace-templates').value = response.templates.length > 0
+        ? JSON.stringify(response.templates, null, 2)
+        : '';
+      showNotification(`Saved ${response.templates.length} templates`, 'success');
+    } else {
+      showNotification(`Error saving templates: ${response.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error saving workspace templates:', error);
+    showNotification('Error saving templates', 'error');
+  }
+}
+
 // Utility functions
 function openHelp() {
   chrome.tabs.create({ 
@@ -673,6 +866,208 @@ function hideNotification() {
   document.getElementById('notification').classList.add('hidden');
 }
 
+// Archive functions
+async function loadArchive() {
+  const list = document.getElementById('archive-list');
+  const query = document.getElementById('archive-search').value;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getArchive', query });
+    const entries = response.entries || [];
+    
+    if (!query) {
+      document.getElementById('archive-count').textContent = `${entries.length} of ${response.maxEntries} items`;
+    }
+    
+    if (entries.length === 0) {
+      list.innerHTML = `<p class="setting-description">${query ? 'No archived items match your search' : 'Nothing has been archived yet'}</p>`;
+      return;
+    }
+    
+    list.innerHTML = entries.map(entry => `
+      <div class="archive-item" data-archive-id="${entry.id}">
+        <div class="archive-item-info">
+          <div class="archive-item-name">
+            <i class="fas ${entry.kind === 'workspace' ? 'fa-th-large' : 'fa-history'}"></i>
+            ${SearchUtils.escapeHtml(entry.name)}
+          </div>
+          <div class="setting-description">
+            ${entry.kind === 'workspace' ? 'Workspace' : 'Session'} · ${entry.tabCount} tabs ·
+            archived ${new Date(entry.archivedAt).toLocaleString()} · ${SearchUtils.escapeHtml(entry.reason)}
+          </div>
+        </div>
+        <div class="action-buttons">
+          <button class="btn btn-secondary archive-restore-btn">Restore</button>
+          <button class="btn btn-warning archive-delete-btn">Delete</button>
+        </div>
+      </div>
+    `).join('');
+    
+    list.querySelectorAll('.archive-item').forEach(item => {
+      const archiveId = item.dataset.archiveId;
+      item.querySelector('.archive-restore-btn').addEventListener('click', () => restoreArchivedItem(archiveId));
+      item.querySelector('.archive-delete-btn').addEventListener('click', () => deleteArchivedItem(archiveId));
+    });
+  } catch (error) {
+    console.error('Error loading archive:', error);
+    list.innerHTML = '<p class="setting-description">Error loading archive</p>';
+  }
+}
+
+async function restoreArchivedItem(archiveId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'restoreArchivedItem', archiveId });
+    
+    if (response.success) {
+      showNotification(`Restored "${response.item.name}" from the archive`, 'success');
+      await loadDataStatistics();
+    } else {
+      showNotification(`Error restoring archived item: ${response.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error restoring archived item:', error);
+    showNotification('Error restoring archived item', 'error');
+  }
+}
+
+async function deleteArchivedItem(archiveId) {
+  if (!confirm('Permanently delete this archived item? This action cannot be undone.')) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteArchivedItem', archiveId });
+    
+    if (response.success) {
+      showNotification('Archived item deleted', 'success');
+      await loadDataStatistics();
+    } else {
+      showNotification(`Error deleting archived item: ${response.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error deleting archived item:', error);
+    showNotification('Error deleting archived item', 'error');
+  }
+}
+
+// Undo journal functions
+async function clearStoredData(keys, label) {
+  const response = await chrome.runtime.sendMessage({ action: 'clearStoredData', keys, label });
+  if (!response.success) {
+    throw new Error(response.error);
+  }
+  return response.undoId;
+}
+
+async function loadUndoJournal() {
+  const list = document.getElementById('undo-journal-list');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getUndoJournal' });
+    const entries = response.entries || [];
+    
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="setting-description">No recent operations to undo</p>';
+      return;
+    }
+    
+    list.innerHTML = entries.map(entry => `
+      <div class="archive-item" data-undo-id="${entry.id}">
+        <div class="archive-item-info">
+          <div class="archive-item-name">${SearchUtils.escapeHtml(entry.label)}</div>
+          <div class="setting-description">${new Date(entry.createdAt).toLocaleString()}</div>
+        </div>
+        <button class="btn btn-secondary undo-btn">
+          <i class="fas fa-rotate-left"></i> Undo
+        </button>
+      </div>
+    `).join('');
+    
+    list.querySelectorAll('.archive-item').forEach(item => {
+      item.querySelector('.undo-btn').addEventListener('click', () => undoOperation(item.dataset.undoId));
+    });
+  } catch (error) {
+    console.error('Error loading undo journal:', error);
+    list.innerHTML = '<p class="setting-description">Error loading recent operations</p>';
+  }
+}
+
+async function undoOperation(undoId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'undoOperation', undoId });
+    
+    if (response.success) {
+      showNotification(response.message, 'success');
+      await loadSettings();
+      await loadDataStatistics();
+    } else {
+      showNotification(`Error undoing operation: ${response.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error undoing operation:', error);
+    showNotification('Error undoing operation', 'error');
+  }
+}
+
+// Incident log functions
+const INCIDENT_RECOVERY_LABELS = {
+  none: 'No recovery needed',
+  offered: 'Recovery offered',
+  restored: 'Restored automatically'
+};
+
+async function loadIncidentLog() {
+  const list = document.getElementById('incident-list');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getIncidentLog' });
+    const incidents = response.incidents || [];
+    
+    document.getElementById('last-heartbeat').textContent = response.liveness?.lastHeartbeat
+      ? new Date(response.liveness.lastHeartbeat).toLocaleString()
+      : 'Never';
+    
+    if (incidents.length === 0) {
+      list.innerHTML = '<p class="setting-description">No incidents detected</p>';
+      return;
+    }
+    
+    list.innerHTML = incidents.map(incident => `
+      <div class="incident-item">
+        <div class="archive-item-name">
+          <i class="fas ${incident.type === 'browserCrash' ? 'fa-bolt' : incident.type === 'extensionUpdate' ? 'fa-arrow-up' : 'fa-gears'}"></i>
+          ${SearchUtils.escapeHtml(incident.label || incident.type)}
+        </div>
+        <div class="setting-description">
+          Detected ${new Date(incident.detectedAt).toLocaleString()}
+          ${incident.lastSeenAt ? ` · last heartbeat ${new Date(incident.lastSeenAt).toLocaleString()}` : ''}
+          ${incident.type === 'extensionUpdate' ? ` · ${SearchUtils.escapeHtml(incident.previousVersion || '?')} → ${SearchUtils.escapeHtml(incident.version)}` : ''}
+          · ${INCIDENT_RECOVERY_LABELS[incident.recovery] || INCIDENT_RECOVERY_LABELS.none}
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading incident log:', error);
+    list.innerHTML = '<p class="setting-description">Error loading incident log</p>';
+  }
+}
+
+async function clearIncidentLog() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'clearIncidentLog' });
+    
+    if (response.success) {
+      showNotification('Incident log cleared', 'success');
+      await loadIncidentLog();
+    } else {
+      showNotification(`Error clearing incident log: ${response.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error clearing incident log:', error);
+    showNotification('Error clearing incident log', 'error');
+  }
+}
+
 // Auto-save management functions
 async function loadAutoSaveStatus() {
   try {
@@ -695,9 +1090,8 @@ async function loadAutoSaveStatus() {
       const latestSnapshot = snapshots[0];
       timeEl.textContent = new Date(latestSnapshot.timestamp).toLocaleString();
       
-      // Estimate storage usage (rough calculation)
-      const estimatedSize = Math.round(JSON.stringify(snapshots).length / 1024);
-      storageEl.textContent = `~${estimatedSize} KB`;
+      // Bytes actually stored for the base + delta chains, not the rebuilt snapshots
+      storageEl.textContent = `${Math.round((response.storageBytes || 0) / 1024)} KB`;
     } else {
       timeEl.textContent = 'Never';
       storageEl.textContent = '0 KB';
@@ -721,21 +1115,54 @@ async function viewRecoveryData() {
       return;
     }
     
-    let message = `Recovery Data Summary:\n\n`;
-    snapshots.forEach((snapshot, index) => {
-      const date = new Date(snapshot.timestamp).toLocaleString();
-      const workspaceCount = snapshot.metadata?.totalWorkspaces || 0;
-      const tabCount = snapshot.metadata?.totalTabs || 0;
-      message += `${index + 1}. ${date}\n   ${workspaceCount} workspaces, ${tabCount} tabs\n\n`;
-    });
+    document.getElementById('recovery-data-list').innerHTML = snapshots.map((snapshot, index) => `
+      <div class="data-stat">
+        <span class="data-label">${index + 1}. ${new Date(snapshot.timestamp).toLocaleString()}</span>
+        <span class="data-value">
+          ${snapshot.metadata?.totalWorkspaces || 0} workspaces, ${snapshot.metadata?.totalTabs || 0} tabs
+        </span>
+      </div>
+    `).join('');
+    
+    // Compare any snapshot against an older one or the live state
+    const snapshotOptions = snapshots.map(snapshot =>
+      `<option value="${snapshot.id}">${new Date(snapshot.timestamp).toLocaleString()}</option>`
+    ).join('');
+    document.getElementById('diff-from').innerHTML = snapshotOptions;
+    document.getElementById('diff-to').innerHTML = '<option value="live">Current state</option>' + snapshotOptions;
+    document.getElementById('snapshot-diff').innerHTML = '';
     
-    alert(message);
+    document.getElementById('recovery-data-view').classList.remove('hidden');
   } catch (error) {
     console.error('Error viewing recovery data:', error);
     showNotification('Error loading recovery data', 'error');
   }
 }
 
+async function showSnapshotDiff() {
+  const diffEl = document.getElementById('snapshot-diff');
+  const fromId = document.getElementById('diff-from').value;
+  const toId = document.getElementById('diff-to').value;
+  
+  if (!fromId || fromId === toId) {
+    showNotification('Pick two different states to compare', 'info');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'diffSnapshots', fromId, toId });
+    
+    if (response.success) {
+      diffEl.innerHTML = UIUtils.renderSnapshotDiff(response.diff);
+    } else {
+      showNotification(`Error comparing snapshots: ${response.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error comparing snapshots:', error);
+    showNotification('Error comparing snapshots', 'error');
+  }
+}
+
 async function clearAutoSaveData() {
   if (confirm('Are you sure you want to clear all auto-save recovery data? This action cannot be undone.')) {
     try {
@@ -19,6 +19,16 @@ let filteredTabs = [];
 let currentFilter = 'all';
 let searchQuery = '';
 
+// Answer confirmation prompts from the background worker while the popup is open
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'confirmPrompt') {
+    showConfirmModal(request.prompt).then((choice) => {
+      sendResponse({ choice });
+    });
+    return true;
+  }
+});
+
 // Initialize popup with settings and UI state
 async function initializePopup() {
   try {
@@ -65,10 +75,12 @@ function setupEventListeners() {
   });
   
   // Quick actions
-  document.getElementById('close-duplicates').addEventListener('click', closeDuplicateTabs);
+  document.getElementById('close-duplicates').addEventListener('click', showDuplicatesModal);
+  document.getElementById('group-tabs').addEventListener('click', regroupAllTabs);
   document.getElementById('save-session').addEventListener('click', saveCurrentSession);
   document.getElementById('create-workspace').addEventListener('click', showWorkspaceCreationForm);
   document.getElementById('restore-session').addEventListener('click', restoreLastSession);
+  document.getElementById('least-valuable').addEventListener('click', showLeastValuableModal);
   document.getElementById('recover-workspaces').addEventListener('click', showRecoveryModal);
   
   // Footer actions
@@ -76,6 +88,7 @@ function setupEventListeners() {
   document.getElementById('close-all').addEventListener('click', closeAllTabs);
   document.getElementById('sessions-view').addEventListener('click', showSessionsModal);
   document.getElementById('workspaces-view').addEventListener('click', showWorkspacesModal);
+  document.getElementById('parked-view').addEventListener('click', showParkedModal);
   
   // Modal controls
   document.getElementById('close-modal').addEventListener('click', hideSessionsModal);
@@ -93,6 +106,57 @@ function setupEventListeners() {
     }
   });
   
+  // Workspace folders and scope
+  document.getElementById('workspace-scope').addEventListener('change', changeWorkspaceScope);
+  document.getElementById('create-workspace-folder').addEventListener('click', () => showFolderForm());
+  document.getElementById('edit-workspace-folder').addEventListener('click', () => showFolderForm(workspaceScope.value));
+  document.getElementById('delete-workspace-folder').addEventListener('click', deleteSelectedFolder);
+  document.getElementById('cancel-folder-form').addEventListener('click', hideFolderForm);
+  document.getElementById('confirm-folder-form').addEventListener('click', saveFolderForm);
+  
+  // Template launch controls
+  document.getElementById('cancel-template-launch').addEventListener('click', hideTemplateLaunchForm);
+  document.getElementById('confirm-template-launch').addEventListener('click', launchSelectedTemplate);
+  
+  // Workspace editor controls
+  document.getElementById('close-workspace-editor').addEventListener('click', hideWorkspaceEditor);
+  document.getElementById('rename-workspace').addEventListener('click', renameEditedWorkspace);
+  document.getElementById('save-workspace-organization').addEventListener('click', saveEditedWorkspaceOrganization);
+  document.getElementById('add-url-to-workspace').addEventListener('click', addUrlToEditedWorkspace);
+  document.getElementById('add-current-tab-to-workspace').addEventListener('click', addCurrentTabToEditedWorkspace);
+  document.getElementById('workspace-editor-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'workspace-editor-modal') {
+      hideWorkspaceEditor();
+    }
+  });
+  
+  // Parked tabs modal controls
+  document.getElementById('close-parked-modal').addEventListener('click', hideParkedModal);
+  document.getElementById('clear-parked').addEventListener('click', clearParkedTabs);
+  document.getElementById('parked-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'parked-modal') {
+      hideParkedModal();
+    }
+  });
+  
+  // Duplicate preview modal controls
+  document.getElementById('close-duplicates-modal').addEventListener('click', hideDuplicatesModal);
+  document.getElementById('duplicate-keep-policy').addEventListener('change', loadDuplicateClusters);
+  document.getElementById('close-selected-duplicates').addEventListener('click', closeDuplicateTabs);
+  document.getElementById('duplicates-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'duplicates-modal') {
+      hideDuplicatesModal();
+    }
+  });
+  
+  // Least valuable tabs modal controls
+  document.getElementById('close-least-valuable-modal').addEventListener('click', hideLeastValuableModal);
+  document.getElementById('least-valuable-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'least-valuable-modal') {
+      hideLeastValuableModal();
+    }
+  });
+  
   // Recovery modal controls
   document.getElementById('close-recovery-modal').addEventListener('click', hideRecoveryModal);
   document.getElementById('recovery-modal').addEventListener('click', (e) => {
@@ -105,6 +169,8 @@ function setupEventListeners() {
   document.getElementById('recover-selected').addEventListener('click', recoverSelectedWorkspaces);
   document.getElementById('recover-all').addEventListener('click', recoverAllWorkspaces);
   document.getElementById('dismiss-recovery').addEventListener('click', dismissRecovery);
+  document.getElementById('run-snapshot-diff').addEventListener('click', showSnapshotDiff);
+  document.getElementById('restore-snapshot').addEventListener('click', restoreSnapshot);
   
   // Auto-save status click to toggle
   document.getElementById('auto-save-status').addEventListener('click', toggleAutoSave);
@@ -350,18 +416,186 @@ async function toggleTabPin(tabId) {
   }
 }
 
-// Quick actions
+// Duplicate preview
+// Clusters come from the background with a survivor already chosen by the keep policy;
+// every other copy starts checked, and pinned copies can't be selected
+
+async function showDuplicatesModal() {
+  const { settings = {} } = await chrome.storage.sync.get('settings');
+  document.getElementById('duplicate-keep-policy').value = settings.duplicateKeepPolicy || 'recentlyActive';
+  await loadDuplicateClusters();
+  document.getElementById('duplicates-modal').classList.remove('hidden');
+}
+
+function hideDuplicatesModal() {
+  document.getElementById('duplicates-modal').classList.add('hidden');
+}
+
+async function loadDuplicateClusters() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const response = await chrome.runtime.sendMessage({
+      action: 'getDuplicateClusters',
+      policy: document.getElementById('duplicate-keep-policy').value,
+      windowId: currentWindow.id
+    });
+    
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    
+    const clusters = response.clusters || [];
+    const clusterList = document.getElementById('duplicate-clusters');
+    document.getElementById('no-duplicates').classList.toggle('hidden', clusters.length > 0);
+    
+    clusterList.innerHTML = clusters.map(cluster => `
+      <div class="duplicate-cluster">
+        <div class="duplicate-cluster-url">${escapeHtml(cluster.key)}</div>
+        ${cluster.tabs.map(tab => `
+          <label class="duplicate-tab ${tab.id === cluster.survivorId ? 'survivor' : ''}">
+            <input type="checkbox" data-tab-id="${tab.id}" ${tab.id !== cluster.survivorId && !tab.pinned ? 'checked' : ''} ${tab.pinned ? 'disabled' : ''}>
+            <span class="duplicate-tab-title">${escapeHtml(tab.title || tab.url)}</span>
+            <span class="duplicate-tab-badges">
+              ${tab.id === cluster.survivorId ? '<span class="duplicate-badge">keep</span>' : ''}
+              ${tab.windowId === currentWindow.id ? '<i class="fas fa-window-maximize" title="This window"></i>' : ''}
+              ${tab.pinned ? '<i class="fas fa-thumbtack" title="Pinned"></i>' : ''}
+              ${tab.grouped ? '<i class="fas fa-layer-group" title="Grouped"></i>' : ''}
+              ${tab.audible ? '<i class="fas fa-volume-up" title="Playing media"></i>' : ''}
+              ${tab.lastAccessed ? `<span>${formatDate(tab.lastAccessed)}</span>` : ''}
+            </span>
+          </label>
+        `).join('')}
+      </div>
+    `).join('');
+    
+    clusterList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.addEventListener('change', updateCloseDuplicatesButton);
+    });
+    updateCloseDuplicatesButton();
+  } catch (error) {
+    console.error('Error loading duplicate tabs:', error);
+    showErrorNotification('Failed to load duplicate tabs');
+  }
+}
+
+function updateCloseDuplicatesButton() {
+  const selected = document.querySelectorAll('#duplicate-clusters input[type="checkbox"]:checked').length;
+  const button = document.getElementById('close-selected-duplicates');
+  button.disabled = selected === 0;
+  button.innerHTML = `<i class="fas fa-times-circle"></i> Close Selected${selected ? ` (${selected})` : ''}`;
+}
+
 async function closeDuplicateTabs() {
+  const tabIds = Array.from(document.querySelectorAll('#duplicate-clusters input[type="checkbox"]:checked'))
+    .map(checkbox => parseInt(checkbox.dataset.tabId));
+  
+  if (tabIds.length === 0) {
+    return;
+  }
+  
   try {
-    await chrome.runtime.sendMessage({ action: 'closeAllDuplicates' });
+    const response = await chrome.runtime.sendMessage({
+      action: 'closeTabs',
+      tabIds,
+      label: `Closed ${tabIds.length} duplicate tabs`
+    });
+    
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    
+    hideDuplicatesModal();
     await loadTabs();
     showNotification('Duplicate tabs closed successfully');
+    showUndoToast(`Closed ${tabIds.length} duplicate tabs`, response.undoId);
   } catch (error) {
     console.error('Error closing duplicate tabs:', error);
     showErrorNotification('Failed to close duplicate tabs');
   }
 }
 
+// Least valuable tabs
+// Background tabs ranked by their engagement score, lowest first, with quick suspend and close
+
+async function showLeastValuableModal() {
+  await loadLeastValuableTabs();
+  document.getElementById('least-valuable-modal').classList.remove('hidden');
+}
+
+function hideLeastValuableModal() {
+  document.getElementById('least-valuable-modal').classList.add('hidden');
+}
+
+async function loadLeastValuableTabs() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getLeastValuableTabs', limit: 10 });
+    
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    
+    const tabs = response.tabs || [];
+    const list = document.getElementById('least-valuable-list');
+    document.getElementById('no-least-valuable').classList.toggle('hidden', tabs.length > 0);
+    
+    list.innerHTML = tabs.map(tab => `
+      <div class="session-item least-valuable-item" data-tab-id="${tab.id}" data-window-id="${tab.windowId}">
+        <div class="least-valuable-info">
+          <div class="session-name">${escapeHtml(tab.title || tab.url)}</div>
+          <div class="session-details">
+            <span>Engagement ${tab.engagement.toFixed(1)}</span>
+            <span>${tab.lastAccessed ? 'Used ' + formatDate(tab.lastAccessed) : 'Never used'}</span>
+            ${tab.discarded ? '<span><i class="fas fa-moon"></i> Suspended</span>' : ''}
+          </div>
+        </div>
+        <div class="least-valuable-actions">
+          ${tab.discarded ? '' : '<button class="tab-action suspend" title="Suspend tab"><i class="fas fa-moon"></i></button>'}
+          <button class="tab-action close" title="Close tab">×</button>
+        </div>
+      </div>
+    `).join('');
+    
+    list.querySelectorAll('.least-valuable-item').forEach(item => {
+      const tabId = parseInt(item.dataset.tabId);
+      
+      item.addEventListener('click', () => switchToTab(tabId, parseInt(item.dataset.windowId)));
+      
+      item.querySelector('.tab-action.suspend')?.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await chrome.runtime.sendMessage({ action: 'suspendTabs', tabIds: [tabId] });
+        await Promise.all([loadLeastValuableTabs(), loadTabs()]);
+      });
+      
+      item.querySelector('.tab-action.close').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const result = await chrome.runtime.sendMessage({ action: 'closeTabs', tabIds: [tabId], label: 'Closed a low-engagement tab' });
+        await Promise.all([loadLeastValuableTabs(), loadTabs()]);
+        showUndoToast('Tab closed', result.undoId);
+      });
+    });
+  } catch (error) {
+    console.error('Error loading least valuable tabs:', error);
+    showErrorNotification('Failed to load least valuable tabs');
+  }
+}
+
+// Quick actions
+async function regroupAllTabs() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'regroupAllTabs' });
+    
+    if (response.success) {
+      await loadTabs();
+      showNotification(`Grouped ${response.groupedCount} tabs`);
+    } else {
+      showErrorNotification('Failed to group tabs: ' + (response.error || 'Unknown error'));
+    }
+  } catch (error) {
+    console.error('Error grouping tabs:', error);
+    showErrorNotification('Failed to group tabs');
+  }
+}
+
 async function saveCurrentSession() {
   try {
     await chrome.runtime.sendMessage({ action: 'saveCurrentSession' });
@@ -393,14 +627,20 @@ async function createNewTab() {
 }
 
 async function closeAllTabs() {
-  if (confirm('Are you sure you want to close all tabs? This action cannot be undone.')) {
+  if (confirm('Are you sure you want to close all tabs?')) {
     try {
       const tabs = await chrome.tabs.query({ currentWindow: true });
       const tabIds = tabs.filter(tab => !tab.pinned).map(tab => tab.id);
       
       if (tabIds.length > 0) {
-        await chrome.tabs.remove(tabIds);
+        // Closed through the background so the tabs are journaled and can be reopened
+        const response = await chrome.runtime.sendMessage({
+          action: 'closeTabs',
+          tabIds,
+          label: `Closed all ${tabIds.length} tabs in a window`
+        });
         await loadTabs();
+        showUndoToast(`Closed ${tabIds.length} tabs`, response.undoId);
       }
     } catch (error) {
       console.error('Error closing all tabs:', error);
@@ -409,10 +649,23 @@ async function closeAllTabs() {
 }
 
 // Workspaces modal
+// Workspaces are bound per window; the popup acts on the window it was opened from
+let popupWindowId = null;
+let popupWindowWorkspaces = {};
+let popupWorkspaces = [];
+
 async function showWorkspacesModal() {
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'getWorkspaces' });
+    const [response, popupWindow] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getWorkspaces' }),
+      chrome.windows.getCurrent(),
+      loadWorkspaceFolders()
+    ]);
     const workspaces = response.workspaces || [];
+    popupWindowId = popupWindow.id;
+    popupWindowWorkspaces = response.windowWorkspaces || {};
+    popupWorkspaces = workspaces;
+    renderWorkspaceScope();
     
     const workspacesList = document.getElementById('workspaces-list');
     const noWorkspaces = document.getElementById('no-workspaces');
@@ -426,6 +679,9 @@ async function showWorkspacesModal() {
     }
     
     hideWorkspaceCreationForm();
+    hideTemplateLaunchForm();
+    hideFolderForm();
+    await renderWorkspaceTemplates();
     document.getElementById('workspaces-modal').classList.remove('hidden');
   } catch (error) {
     console.error('Error loading workspaces:', error);
@@ -469,7 +725,8 @@ async function createWorkspace() {
   try {
     const response = await chrome.runtime.sendMessage({
       action: 'createWorkspace',
-      name: name
+      name: name,
+      windowId: popupWindowId ?? (await chrome.windows.getCurrent()).id
     });
     
     if (response.success) {
@@ -485,26 +742,51 @@ async function createWorkspace() {
   }
 }
 
-function renderWorkspaces(workspaces) {
+function renderWorkspaces(allWorkspaces) {
   const workspacesList = document.getElementById('workspaces-list');
+  popupWorkspaces = allWorkspaces;
+  const workspaces = WorkspaceUtils.filterWorkspacesByScope(allWorkspaces, workspaceFolders, workspaceScope);
+  
+  const currentWorkspaceId = popupWindowWorkspaces[popupWindowId];
+  const openElsewhere = new Set(
+    Object.entries(popupWindowWorkspaces)
+      .filter(([windowId]) => Number(windowId) !== popupWindowId)
+      .map(([, workspaceId]) => workspaceId)
+  );
   
-  const workspacesHTML = workspaces.map(workspace => `
-    <div class="workspace-item ${workspace.isActive ? 'active' : ''}" data-workspace-id="${workspace.id}">
+  const workspacesHTML = workspaces.length === 0
+    ? '<p class="no-sessions">No workspaces in this scope</p>'
+    : workspaces.map(workspace => `
+    <div class="workspace-item ${workspace.id === currentWorkspaceId ? 'active' : ''} ${getWorkspaceLabelColor(workspace) ? `label-${getWorkspaceLabelColor(workspace)}` : ''}" data-workspace-id="${workspace.id}">
       <div class="workspace-info">
         <div class="workspace-name">${escapeHtml(workspace.name)}</div>
         <div class="workspace-metadata">
           <span class="workspace-tab-count">${workspace.tabs.length} tabs</span>
           <span class="workspace-date">${formatDate(workspace.timestamp)}</span>
-          ${workspace.isActive ? '<span class="workspace-active-badge">Active</span>' : ''}
+          ${workspace.id === currentWorkspaceId ? '<span class="workspace-active-badge">Active</span>' : ''}
+          ${openElsewhere.has(workspace.id) ? '<span class="workspace-active-badge">Other window</span>' : ''}
         </div>
+        ${renderWorkspaceLabels(workspace)}
       </div>
       <div class="workspace-actions">
-        <button class="workspace-action switch-btn" title="Switch to workspace">
-          ${workspace.isActive ? 'Current' : 'Switch'}
+        <button class="workspace-action favorite-btn ${workspace.favorite ? 'active' : ''}" title="${workspace.favorite ? 'Remove from favorites' : 'Add to favorites'}">
+          <i class="${workspace.favorite ? 'fas' : 'far'} fa-star"></i>
+        </button>
+        <button class="workspace-action switch-btn" title="${openElsewhere.has(workspace.id) ? 'Go to the window holding this workspace' : 'Switch this window to workspace'}">
+          ${workspace.id === currentWorkspaceId ? 'Current' : openElsewhere.has(workspace.id) ? 'Focus' : 'Switch'}
         </button>
         <button class="workspace-action restore-btn" title="Restore workspace (keep current tabs)">
           Restore
         </button>
+        <button class="workspace-action edit-btn" title="Edit workspace">
+          <i class="fas fa-edit"></i>
+        </button>
+        <button class="workspace-action move-up-btn" title="Move up">
+          <i class="fas fa-arrow-up"></i>
+        </button>
+        <button class="workspace-action move-down-btn" title="Move down">
+          <i class="fas fa-arrow-down"></i>
+        </button>
         <button class="workspace-action delete-btn" title="Delete workspace">
           Delete
         </button>
@@ -549,9 +831,15 @@ function renderWorkspaces(workspaces) {
     
     const workspace = workspaces.find(w => w.id === workspaceId);
     
+    // Favorite button
+    item.querySelector('.favorite-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      organizeWorkspace(workspaceId, { favorite: !workspace.favorite });
+    });
+    
     // Switch button
     const switchBtn = item.querySelector('.switch-btn');
-    if (!workspace.isActive) {
+    if (workspaceId !== currentWorkspaceId) {
       switchBtn.addEventListener('click', (e) => {
         e.stopPropagation();
         switchToWorkspace(workspaceId);
@@ -567,6 +855,22 @@ function renderWorkspaces(workspaces) {
       restoreWorkspace(workspaceId);
     });
     
+    // Edit button
+    item.querySelector('.edit-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      showWorkspaceEditor(workspaceId);
+    });
+    
+    // Reorder buttons
+    item.querySelector('.move-up-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      moveWorkspace(workspaceId, -1);
+    });
+    item.querySelector('.move-down-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      moveWorkspace(workspaceId, 1);
+    });
+    
     // Delete button
     const deleteBtn = item.querySelector('.delete-btn');
     deleteBtn.addEventListener('click', (e) => {
@@ -576,17 +880,516 @@ function renderWorkspaces(workspaces) {
   });
 }
 
+// Workspace templates
+let workspaceTemplates = [];
+let launchingTemplate = null;
+
+async function renderWorkspaceTemplates() {
+  const templatesList = document.getElementById('templates-list');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getWorkspaceTemplates' });
+    workspaceTemplates = response.templates || [];
+  } catch (error) {
+    console.error('Error loading workspace templates:', error);
+    workspaceTemplates = [];
+  }
+  
+  templatesList.innerHTML = workspaceTemplates.map(template => `
+    <button class="workspace-action template-btn" data-template-id="${escapeHtml(template.id)}" title="Launch template in a new window">
+      <i class="fas fa-rocket"></i> ${escapeHtml(template.name)}
+    </button>
+  `).join('');
+  
+  templatesList.querySelectorAll('.template-btn').forEach(button => {
+    button.addEventListener('click', () => showTemplateLaunchForm(button.dataset.templateId));
+  });
+}
+
+function showTemplateLaunchForm(templateId) {
+  launchingTemplate = workspaceTemplates.find(template => template.id === templateId);
+  
+  if (!launchingTemplate) {
+    return;
+  }
+  
+  // Templates without variables launch straight away
+  if (launchingTemplate.variables.length === 0) {
+    launchSelectedTemplate();
+    return;
+  }
+  
+  document.getElementById('template-launch-name').textContent = launchingTemplate.name;
+  document.getElementById('template-variables').innerHTML = launchingTemplate.variables.map(name => `
+    <input type="text" class="workspace-name-input template-variable" data-variable="${escapeHtml(name)}" placeholder="${escapeHtml(name)}">
+  `).join('');
+  
+  hideWorkspaceCreationForm();
+  document.getElementById('template-launch-form').classList.remove('hidden');
+  document.querySelector('.template-variable')?.focus();
+}
+
+function hideTemplateLaunchForm() {
+  document.getElementById('template-launch-form').classList.add('hidden');
+  document.getElementById('template-variables').innerHTML = '';
+  launchingTemplate = null;
+}
+
+async function launchSelectedTemplate() {
+  if (!launchingTemplate) {
+    return;
+  }
+  
+  const values = {};
+  document.querySelectorAll('.template-variable').forEach(input => {
+    values[input.dataset.variable] = input.value.trim();
+  });
+  
+  const missing = launchingTemplate.variables.filter(name => !values[name]);
+  if (missing.length > 0) {
+    showErrorNotification(`Please fill in: ${missing.join(', ')}`);
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'launchWorkspaceTemplate',
+      templateId: launchingTemplate.id,
+      values
+    });
+    
+    if (response.success) {
+      hideTemplateLaunchForm();
+      hideWorkspacesModal();
+    } else {
+      showErrorNotification('Error launching template: ' + (response.error || 'Unknown error'));
+    }
+  } catch (error) {
+    console.error('Error launching template:', error);
+    showErrorNotification('Failed to launch template');
+  }
+}
+
+async function moveWorkspace(workspaceId, offset) {
+  // Swap with the neighbour shown in the (possibly scoped) list, keeping hidden workspaces in place
+  const visibleIds = [...document.querySelectorAll('#workspaces-list .workspace-item[data-workspace-id]')]
+    .map(item => item.dataset.workspaceId);
+  const index = visibleIds.indexOf(workspaceId);
+  const neighbourId = visibleIds[index + offset];
+  
+  if (index === -1 || !neighbourId) {
+    return;
+  }
+  
+  const workspaceIds = popupWorkspaces.map(w => w.id);
+  const from = workspaceIds.indexOf(workspaceId);
+  const to = workspaceIds.indexOf(neighbourId);
+  [workspaceIds[from], workspaceIds[to]] = [workspaceIds[to], workspaceIds[from]];
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'reorderWorkspaces', workspaceIds });
+    
+    if (response.success) {
+      renderWorkspaces(response.workspaces);
+    } else {
+      showErrorNotification('Error reordering workspaces: ' + (response.error || 'Unknown error'));
+    }
+  } catch (error) {
+    console.error('Error reordering workspaces:', error);
+    showErrorNotification('Failed to reorder workspaces');
+  }
+}
+
+// Workspace folders, tags and favorites
+let workspaceFolders = [];
+let workspaceScope = { type: 'all' };
+let editingFolderId = null;
+
+async function loadWorkspaceFolders() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getWorkspaceFolders' });
+    workspaceFolders = response.folders || [];
+    workspaceScope = response.scope || { type: 'all' };
+  } catch (error) {
+    console.error('Error loading workspace folders:', error);
+  }
+}
+
+/**
+ * Builds <option> elements for every folder, indented by nesting depth
+ */
+function renderFolderOptions(selectedId, { valuePrefix = '', excludeIds = new Set() } = {}) {
+  return WorkspaceUtils.flattenFolderTree(workspaceFolders)
+    .filter(({ folder }) => !excludeIds.has(folder.id))
+    .map(({ folder, depth }) => `
+      <option value="${valuePrefix}${folder.id}" ${folder.id === selectedId ? 'selected' : ''}>
+        ${'&nbsp;&nbsp;'.repeat(depth)}${escapeHtml(folder.name)}
+      </option>
+    `).join('');
+}
+
+function renderColorOptions(selectedColor) {
+  return `<option value="">No color</option>` + TemplateUtils.GROUP_COLORS.map(color => `
+    <option value="${color}" ${color === selectedColor ? 'selected' : ''}>${color[0].toUpperCase()}${color.slice(1)}</option>
+  `).join('');
+}
+
+/**
+ * A workspace without its own color label shows the color of its nearest colored folder
+ */
+function getWorkspaceLabelColor(workspace) {
+  const coloredFolder = WorkspaceUtils.getFolderPath(workspaceFolders, workspace.folderId)
+    .reverse()
+    .find(folder => folder.color);
+  return workspace.color || coloredFolder?.color || null;
+}
+
+function renderWorkspaceLabels(workspace) {
+  const folderPath = WorkspaceUtils.getFolderPath(workspaceFolders, workspace.folderId);
+  const tags = workspace.tags || [];
+  
+  if (folderPath.length === 0 && tags.length === 0) {
+    return '';
+  }
+  
+  return `
+    <div class="workspace-labels">
+      ${folderPath.length > 0 ? `<span class="workspace-folder-path"><i class="fas fa-folder"></i> ${folderPath.map(folder => escapeHtml(folder.name)).join(' / ')}</span>` : ''}
+      ${tags.map(tag => `<span class="workspace-tag">#${escapeHtml(tag)}</span>`).join('')}
+    </div>
+  `;
+}
+
+function renderWorkspaceScope() {
+  const select = document.getElementById('workspace-scope');
+  const tags = WorkspaceUtils.getWorkspaceTags(popupWorkspaces);
+  const scopeValue = workspaceScope.type === 'folder' || workspaceScope.type === 'tag'
+    ? `${workspaceScope.type}:${workspaceScope.value}`
+    : workspaceScope.type;
+  
+  select.innerHTML = `
+    <option value="all">All workspaces</option>
+    <option value="favorites">Favorites</option>
+    ${workspaceFolders.length > 0 ? `<optgroup label="Folders">${renderFolderOptions(null, { valuePrefix: 'folder:' })}</optgroup>` : ''}
+    ${tags.length > 0 ? `<optgroup label="Tags">${tags.map(tag => `<option value="tag:${escapeHtml(tag).replace(/"/g, '&quot;')}">#${escapeHtml(tag)}</option>`).join('')}</optgroup>` : ''}
+  `;
+  select.value = scopeValue;
+  
+  // The stored scope may point at a folder or tag that no longer exists
+  if (select.value !== scopeValue) {
+    select.value = 'all';
+    workspaceScope = { type: 'all' };
+  }
+  
+  const folderSelected = workspaceScope.type === 'folder';
+  document.getElementById('edit-workspace-folder').classList.toggle('hidden', !folderSelected);
+  document.getElementById('delete-workspace-folder').classList.toggle('hidden', !folderSelected);
+}
+
+async function changeWorkspaceScope() {
+  const value = document.getElementById('workspace-scope').value;
+  const separator = value.indexOf(':');
+  const scope = separator === -1
+    ? { type: value }
+    : { type: value.slice(0, separator), value: value.slice(separator + 1) };
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setWorkspaceScope', scope });
+    workspaceScope = response.scope || scope;
+  } catch (error) {
+    console.error('Error changing workspace scope:', error);
+  }
+  
+  hideFolderForm();
+  renderWorkspaceScope();
+  renderWorkspaces(popupWorkspaces);
+}
+
+function showFolderForm(folderId = null) {
+  const folder = workspaceFolders.find(f => f.id === folderId);
+  editingFolderId = folder ? folder.id : null;
+  
+  // A folder cannot be nested inside itself or its own subfolders
+  const excludeIds = folder ? WorkspaceUtils.getFolderDescendantIds(workspaceFolders, folder.id) : new Set();
+  const defaultParentId = folder ? folder.parentId : (workspaceScope.type === 'folder' ? workspaceScope.value : null);
+  
+  document.getElementById('folder-form-title').textContent = folder ? 'Edit Folder' : 'New Folder';
+  document.getElementById('folder-name-input').value = folder ? folder.name : '';
+  document.getElementById('folder-parent-select').innerHTML =
+    '<option value="">Top level</option>' + renderFolderOptions(defaultParentId, { excludeIds });
+  document.getElementById('folder-color-select').innerHTML = renderColorOptions(folder?.color);
+  
+  document.getElementById('folder-form').classList.remove('hidden');
+  document.getElementById('folder-name-input').focus();
+}
+
+function hideFolderForm() {
+  document.getElementById('folder-form').classList.add('hidden');
+  editingFolderId = null;
+}
+
+async function saveFolderForm() {
+  const name = document.getElementById('folder-name-input').value.trim();
+  const parentId = document.getElementById('folder-parent-select').value || null;
+  const color = document.getElementById('folder-color-select').value || null;
+  
+  const message = editingFolderId
+    ? { action: 'updateWorkspaceFolder', folderId: editingFolderId, changes: { name, parentId, color } }
+    : { action: 'createWorkspaceFolder', name, parentId, color };
+  
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    
+    if (response.success) {
+      hideFolderForm();
+      await showWorkspacesModal(); // Refresh folders and the list
+    } else {
+      showErrorNotification('Error saving folder: ' + (response.error || 'Unknown error'));
+    }
+  } catch (error) {
+    console.error('Error saving folder:', error);
+    showErrorNotification('Failed to save folder');
+  }
+}
+
+async function deleteSelectedFolder() {
+  const folder = workspaceFolders.find(f => f.id === workspaceScope.value);
+  if (!folder) {
+    return;
+  }
+  
+  if (!confirm(`Delete folder "${folder.name}"? Its workspaces and subfolders move to the parent folder.`)) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteWorkspaceFolder', folderId: folder.id });
+    
+    if (response.success) {
+      await showWorkspacesModal();
+    } else {
+      showErrorNotification('Error deleting folder: ' + (response.error || 'Unknown error'));
+    }
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    showErrorNotification('Failed to delete folder');
+  }
+}
+
+async function organizeWorkspace(workspaceId, changes) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'organizeWorkspace', workspaceId, changes });
+    
+    if (!response.success) {
+      showErrorNotification(response.error || 'Unknown error');
+      return false;
+    }
+    
+    popupWorkspaces = popupWorkspaces.map(w => w.id === workspaceId ? response.workspace : w);
+    renderWorkspaceScope();
+    renderWorkspaces(popupWorkspaces);
+    return true;
+  } catch (error) {
+    console.error('Error organizing workspace:', error);
+    showErrorNotification('Failed to update workspace');
+    return false;
+  }
+}
+
+// Workspace editor
+let editingWorkspaceId = null;
+let editingWorkspaceTabs = [];
+
+async function showWorkspaceEditor(workspaceId) {
+  editingWorkspaceId = workspaceId;
+  document.getElementById('workspace-editor-url').value = '';
+  await renderWorkspaceEditor();
+  document.getElementById('workspace-editor-modal').classList.remove('hidden');
+}
+
+async function hideWorkspaceEditor() {
+  document.getElementById('workspace-editor-modal').classList.add('hidden');
+  editingWorkspaceId = null;
+  editingWorkspaceTabs = [];
+  await showWorkspacesModal(); // Refresh names and tab counts
+}
+
+async function renderWorkspaceEditor() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getWorkspaces' });
+    const workspaces = response.workspaces || [];
+    const workspace = workspaces.find(w => w.id === editingWorkspaceId);
+    
+    if (!workspace) {
+      await hideWorkspaceEditor();
+      return;
+    }
+    
+    editingWorkspaceTabs = workspace.tabs || [];
+    const otherWorkspaces = workspaces.filter(w => w.id !== workspace.id);
+    const moveOptions = otherWorkspaces.map(w => `<option value="${w.id}">${escapeHtml(w.name)}</option>`).join('');
+    
+    document.getElementById('workspace-editor-name').value = workspace.name;
+    document.getElementById('workspace-editor-folder').innerHTML =
+      '<option value="">No folder</option>' + renderFolderOptions(workspace.folderId);
+    document.getElementById('workspace-editor-tags').value = (workspace.tags || []).join(', ');
+    document.getElementById('workspace-editor-color').innerHTML = renderColorOptions(workspace.color);
+    document.getElementById('workspace-editor-favorite').checked = !!workspace.favorite;
+    
+    const tabsList = document.getElementById('workspace-editor-tabs');
+    tabsList.innerHTML = editingWorkspaceTabs.length === 0
+      ? '<p class="no-sessions">This workspace has no tabs</p>'
+      : editingWorkspaceTabs.map((tab, index) => `
+        <div class="editor-tab" data-tab-index="${index}">
+          <div class="editor-tab-info">
+            <div class="editor-tab-title">${escapeHtml(tab.title || tab.url)}</div>
+            <div class="editor-tab-url">${escapeHtml(tab.url)}</div>
+          </div>
+          <div class="editor-tab-actions">
+            <button class="workspace-action tab-up-btn" title="Move up" ${index === 0 ? 'disabled' : ''}>
+              <i class="fas fa-arrow-up"></i>
+            </button>
+            <button class="workspace-action tab-down-btn" title="Move down" ${index === editingWorkspaceTabs.length - 1 ? 'disabled' : ''}>
+              <i class="fas fa-arrow-down"></i>
+            </button>
+            ${otherWorkspaces.length > 0 ? `
+              <select class="editor-tab-move" title="Move to another workspace">
+                <option value="">Move to...</option>
+                ${moveOptions}
+              </select>
+            ` : ''}
+            <button class="workspace-action delete-btn tab-remove-btn" title="Remove tab">
+              <i class="fas fa-times"></i>
+            </button>
+          </div>
+        </div>
+      `).join('');
+    
+    tabsList.querySelectorAll('.editor-tab').forEach(row => {
+      const tabIndex = parseInt(row.dataset.tabIndex);
+      
+      row.querySelector('.tab-up-btn').addEventListener('click', () => reorderEditedWorkspaceTab(tabIndex, -1));
+      row.querySelector('.tab-down-btn').addEventListener('click', () => reorderEditedWorkspaceTab(tabIndex, 1));
+      row.querySelector('.tab-remove-btn').addEventListener('click', () => {
+        sendWorkspaceEdit({ action: 'removeTabFromWorkspace', workspaceId: editingWorkspaceId, tabIndex });
+      });
+      
+      const moveSelect = row.querySelector('.editor-tab-move');
+      if (moveSelect) {
+        moveSelect.addEventListener('change', () => {
+          if (moveSelect.value) {
+            sendWorkspaceEdit({
+              action: 'moveTabBetweenWorkspaces',
+              sourceWorkspaceId: editingWorkspaceId,
+              targetWorkspaceId: moveSelect.value,
+              tabIndex
+            });
+          }
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error loading workspace editor:', error);
+  }
+}
+
+/**
+ * Sends an editing action to the background and re-renders the editor on success
+ */
+async function sendWorkspaceEdit(message) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    
+    if (!response.success) {
+      showErrorNotification(response.error || 'Unknown error');
+      return false;
+    }
+    
+    await renderWorkspaceEditor();
+    return true;
+  } catch (error) {
+    console.error('Error editing workspace:', error);
+    showErrorNotification('Failed to edit workspace');
+    return false;
+  }
+}
+
+async function reorderEditedWorkspaceTab(tabIndex, offset) {
+  const newIndex = tabIndex + offset;
+  if (newIndex < 0 || newIndex >= editingWorkspaceTabs.length) {
+    return;
+  }
+  
+  const tabs = [...editingWorkspaceTabs];
+  [tabs[tabIndex], tabs[newIndex]] = [tabs[newIndex], tabs[tabIndex]];
+  
+  await sendWorkspaceEdit({ action: 'updateWorkspaceTabs', workspaceId: editingWorkspaceId, tabs });
+}
+
+async function renameEditedWorkspace() {
+  const name = document.getElementById('workspace-editor-name').value.trim();
+  
+  if (await sendWorkspaceEdit({ action: 'renameWorkspace', workspaceId: editingWorkspaceId, name })) {
+    showNotification(`Workspace renamed to "${name}"`);
+  }
+}
+
+async function saveEditedWorkspaceOrganization() {
+  const changes = {
+    folderId: document.getElementById('workspace-editor-folder').value || null,
+    tags: document.getElementById('workspace-editor-tags').value,
+    color: document.getElementById('workspace-editor-color').value || null,
+    favorite: document.getElementById('workspace-editor-favorite').checked
+  };
+  
+  if (await sendWorkspaceEdit({ action: 'organizeWorkspace', workspaceId: editingWorkspaceId, changes })) {
+    showNotification('Workspace organization saved');
+  }
+}
+
+async function addUrlToEditedWorkspace() {
+  const urlInput = document.getElementById('workspace-editor-url');
+  const url = urlInput.value.trim();
+  
+  if (!url) {
+    urlInput.focus();
+    return;
+  }
+  
+  if (await sendWorkspaceEdit({ action: 'addTabToWorkspace', workspaceId: editingWorkspaceId, tab: { url } })) {
+    urlInput.value = '';
+  }
+}
+
+async function addCurrentTabToEditedWorkspace() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  if (tab) {
+    await sendWorkspaceEdit({
+      action: 'addTabToWorkspace',
+      workspaceId: editingWorkspaceId,
+      tab: { url: tab.url, title: tab.title, favIconUrl: tab.favIconUrl }
+    });
+  }
+}
+
 async function switchToWorkspace(workspaceId) {
   try {
     const response = await chrome.runtime.sendMessage({
       action: 'switchWorkspace',
-      workspaceId: workspaceId
+      workspaceId: workspaceId,
+      windowId: popupWindowId ?? (await chrome.windows.getCurrent()).id
     });
     
     if (response.success) {
+      if (response.cancelled) {
+        return;
+      }
+      
       hideWorkspacesModal();
       await loadTabs(); // Refresh the tab list
       showNotification('Workspace switched successfully');
+      showUndoToast('Previous tabs closed', response.undoId);
     } else {
       showNotification('Error switching workspace: ' + (response.error || 'Unknown error'));
     }
@@ -617,7 +1420,7 @@ async function restoreWorkspace(workspaceId) {
 }
 
 async function deleteWorkspace(workspaceId, workspaceName) {
-  if (confirm(`Are you sure you want to delete the workspace "${workspaceName}"? This action cannot be undone.`)) {
+  if (confirm(`Are you sure you want to delete the workspace "${workspaceName}"?`)) {
     try {
       const response = await chrome.runtime.sendMessage({
         action: 'deleteWorkspace',
@@ -626,6 +1429,7 @@ async function deleteWorkspace(workspaceId, workspaceName) {
       
       if (response.success) {
         showNotification('Workspace deleted successfully');
+        showUndoToast(`Deleted "${workspaceName}"`, response.undoId);
         await showWorkspacesModal(); // Refresh the list
       } else {
         showNotification('Error deleting workspace: ' + (response.error || 'Unknown error'));
@@ -659,16 +1463,35 @@ async function showSessionsModal() {
             <span>${session.tabs.length} tabs</span>
             <span>${formatDate(session.timestamp)}</span>
           </div>
+          <div class="session-actions">
+            <button class="session-action" data-mode="current" title="Add tabs to the current window">
+              <i class="fas fa-plus"></i> Current Window
+            </button>
+            <button class="session-action" data-mode="newWindow" title="Open the session in a new window">
+              <i class="fas fa-external-link-alt"></i> New Window
+            </button>
+            <button class="session-action" data-mode="replace" title="Replace the tabs in the current window">
+              <i class="fas fa-exchange-alt"></i> Replace
+            </button>
+          </div>
         </div>
       `).join('');
       
       sessionsList.innerHTML = sessionsHTML;
       
-      // Add click handlers
+      // Add click handlers - clicking the item itself restores into the current window
       sessionsList.querySelectorAll('.session-item').forEach(item => {
+        const sessionId = item.dataset.sessionId;
+        
         item.addEventListener('click', () => {
-          const sessionId = item.dataset.sessionId;
-          restoreSession(sessionId);
+          restoreSession(sessionId, 'current');
+        });
+        
+        item.querySelectorAll('.session-action').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            restoreSession(sessionId, btn.dataset.mode);
+          });
         });
       });
     }
@@ -683,16 +1506,121 @@ function hideSessionsModal() {
   document.getElementById('sessions-modal').classList.add('hidden');
 }
 
-async function restoreSession(sessionId) {
+async function restoreSession(sessionId, mode = 'current') {
   try {
-    await chrome.runtime.sendMessage({
+    const response = await chrome.runtime.sendMessage({
       action: 'restoreSession',
-      sessionId: sessionId
+      sessionId: sessionId,
+      mode: mode
     });
-    hideSessionsModal();
-    await loadTabs();
+    
+    if (response.success) {
+      hideSessionsModal();
+      await loadTabs();
+      
+      const failedCount = response.failedTabs?.length || 0;
+      showNotification(failedCount > 0
+        ? `Session restored (${failedCount} tabs failed to open)`
+        : 'Session restored successfully');
+    } else {
+      showErrorNotification('Error restoring session: ' + (response.error || 'Unknown error'));
+    }
   } catch (error) {
     console.error('Error restoring session:', error);
+    showErrorNotification('Failed to restore session');
+  }
+}
+
+// Confirmation modal
+function showConfirmModal(prompt) {
+  return new Promise((resolve) => {
+    const modal = document.getElementById('confirm-modal');
+    const actions = document.getElementById('confirm-actions');
+    
+    document.getElementById('confirm-title').textContent = prompt.title;
+    document.getElementById('confirm-message').textContent = prompt.message;
+    
+    actions.innerHTML = prompt.choices.map((choice, index) => `
+      <button class="btn ${index === 0 ? 'btn-primary' : 'btn-secondary'}" data-choice="${escapeHtml(choice.value)}">
+        ${escapeHtml(choice.label)}
+      </button>
+    `).join('');
+    
+    actions.querySelectorAll('button').forEach(button => {
+      button.addEventListener('click', () => {
+        modal.classList.add('hidden');
+        resolve(button.dataset.choice);
+      });
+    });
+    
+    modal.classList.remove('hidden');
+  });
+}
+
+// Parked tabs modal
+async function showParkedModal() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getParkedTabs' });
+    const parkedTabs = response.parkedTabs || [];
+    
+    const parkedList = document.getElementById('parked-list');
+    const noParked = document.getElementById('no-parked');
+    
+    if (parkedTabs.length === 0) {
+      parkedList.innerHTML = '';
+      noParked.classList.remove('hidden');
+    } else {
+      noParked.classList.add('hidden');
+      
+      parkedList.innerHTML = parkedTabs.map(parked => `
+        <div class="session-item" data-parked-id="${parked.id}" title="Reopen tab">
+          <div class="session-name">${escapeHtml(parked.title || parked.url)}</div>
+          <div class="session-info">
+            <span>${escapeHtml(parked.url)}</span>
+            <span>${formatDate(parked.parkedAt)}</span>
+          </div>
+        </div>
+      `).join('');
+      
+      parkedList.querySelectorAll('.session-item').forEach(item => {
+        item.addEventListener('click', () => restoreParkedTab(item.dataset.parkedId));
+      });
+    }
+    
+    document.getElementById('parked-modal').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading parked tabs:', error);
+  }
+}
+
+function hideParkedModal() {
+  document.getElementById('parked-modal').classList.add('hidden');
+}
+
+async function restoreParkedTab(parkedId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'restoreParkedTab', parkedId });
+    
+    if (response.success) {
+      await showParkedModal();
+      await loadTabs();
+    } else {
+      showErrorNotification('Error reopening tab: ' + (response.error || 'Unknown error'));
+    }
+  } catch (error) {
+    console.error('Error reopening parked tab:', error);
+    showErrorNotification('Failed to reopen tab');
+  }
+}
+
+async function clearParkedTabs() {
+  if (confirm('Are you sure you want to clear all parked tabs?')) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearParkedTabs' });
+      await showParkedModal();
+    } catch (error) {
+      console.error('Error clearing parked tabs:', error);
+    }
   }
 }
 
@@ -720,6 +1648,47 @@ function showNotification(message) {
   console.log('Notification:', message);
 }
 
+/**
+ * Shows a toast with an Undo button for a journaled operation (see the background undo journal)
+ */
+function showUndoToast(message, undoId) {
+  if (!undoId) {
+    return;
+  }
+  
+  document.querySelector('.undo-toast')?.remove();
+  
+  const toast = document.createElement('div');
+  toast.className = 'undo-toast';
+  toast.innerHTML = `<span>${escapeHtml(message)}</span><button class="undo-toast-btn">Undo</button>`;
+  
+  toast.querySelector('.undo-toast-btn').addEventListener('click', async () => {
+    toast.remove();
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undoOperation', undoId });
+      
+      if (!response.success) {
+        showErrorNotification('Error undoing: ' + (response.error || 'Unknown error'));
+        return;
+      }
+      
+      showNotification(response.message);
+      await loadTabs();
+      if (!document.getElementById('workspaces-modal').classList.contains('hidden')) {
+        await showWorkspacesModal();
+      }
+    } catch (error) {
+      console.error('Error undoing operation:', error);
+      showErrorNotification('Failed to undo');
+    }
+  });
+  
+  document.body.appendChild(toast);
+  
+  // Auto-remove after 8 seconds; the operation stays revertible from the options page
+  setTimeout(() => toast.remove(), 8000);
+}
+
 function showErrorNotification(message) {
   // Error notification with styling
   console.error('Error:', message);
@@ -853,12 +1822,40 @@ function renderRecoveryOptions(snapshots) {
             <span class="recovery-tabs">${metadata.tabCount} tabs</span>
           </div>
         </div>
+        <button class="workspace-action diff-btn" title="Compare with current state">
+          <i class="fas fa-code-compare"></i>
+        </button>
+        <button class="workspace-action restore-btn" title="Restore this snapshot">
+          <i class="fas fa-clock-rotate-left"></i>
+        </button>
       </div>
     `;
   }).join('');
   
   listEl.innerHTML = snapshotsHTML;
   
+  // Fill the compare selectors: any snapshot against an older one or the live state
+  const snapshotOptions = snapshots.map(snapshot =>
+    `<option value="${snapshot.id}">${new Date(snapshot.timestamp).toLocaleString()}</option>`
+  ).join('');
+  document.getElementById('diff-from').innerHTML = snapshotOptions;
+  document.getElementById('diff-to').innerHTML = '<option value="live">Current state</option>' + snapshotOptions;
+  document.getElementById('restore-snapshot-id').innerHTML = snapshotOptions;
+  document.getElementById('snapshot-diff').classList.add('hidden');
+  
+  listEl.querySelectorAll('.recovery-item').forEach(item => {
+    item.querySelector('.diff-btn').addEventListener('click', () => {
+      document.getElementById('diff-from').value = item.dataset.snapshotId;
+      document.getElementById('diff-to').value = 'live';
+      showSnapshotDiff();
+    });
+    
+    item.querySelector('.restore-btn').addEventListener('click', () => {
+      document.getElementById('restore-snapshot-id').value = item.dataset.snapshotId;
+      document.querySelector('.snapshot-restore').scrollIntoView({ behavior: 'smooth' });
+    });
+  });
+  
   // Add event listeners for checkboxes
   listEl.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
     checkbox.addEventListener('change', updateRecoveryButtons);
@@ -867,6 +1864,71 @@ function renderRecoveryOptions(snapshots) {
   updateRecoveryButtons();
 }
 
+async function showSnapshotDiff() {
+  const diffEl = document.getElementById('snapshot-diff');
+  const fromId = document.getElementById('diff-from').value;
+  const toId = document.getElementById('diff-to').value;
+  
+  if (!fromId || fromId === toId) {
+    diffEl.innerHTML = '<p class="snapshot-diff-empty">Pick two different states to compare</p>';
+    diffEl.classList.remove('hidden');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'diffSnapshots', fromId, toId });
+    
+    if (!response.success) {
+      showErrorNotification('Error comparing snapshots: ' + (response.error || 'Unknown error'));
+      return;
+    }
+    
+    diffEl.innerHTML = UIUtils.renderSnapshotDiff(response.diff);
+    diffEl.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error comparing snapshots:', error);
+    showErrorNotification('Failed to compare snapshots');
+  }
+}
+
+async function restoreSnapshot() {
+  const snapshotId = document.getElementById('restore-snapshot-id').value;
+  const workspaces = document.getElementById('restore-snapshot-workspaces').value;
+  
+  if (!snapshotId) {
+    return;
+  }
+  
+  if (workspaces === 'replace' &&
+      !confirm('Replace your saved workspaces with the ones in this snapshot? Workspaces the snapshot does not have will be archived.')) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'restoreSnapshot',
+      snapshotId,
+      options: {
+        workspaces,
+        dedupe: document.getElementById('restore-snapshot-dedupe').checked
+      }
+    });
+    
+    if (!response.success) {
+      showErrorNotification('Error restoring snapshot: ' + (response.error || 'Unknown error'));
+      return;
+    }
+    
+    const skipped = response.skippedTabs > 0 ? `, ${response.skippedTabs} already open` : '';
+    showNotification(`Restored ${response.restoredTabs} tabs${skipped}`);
+    hideRecoveryModal();
+    await loadTabs();
+  } catch (error) {
+    console.error('Error restoring snapshot:', error);
+    showErrorNotification('Failed to restore snapshot');
+  }
+}
+
 function updateRecoveryButtons() {
   const checkboxes = document.querySelectorAll('#recovery-list input[type="checkbox"]');
   const checkedBoxes = document.querySelectorAll('#recovery-list input[type="checkbox"]:checked');
@@ -1011,13 +2073,18 @@ window.GodTabsPopup = {
   loadTabs,
   switchToTab,
   closeTab,
+  showDuplicatesModal,
   closeDuplicateTabs,
+  showLeastValuableModal,
+  regroupAllTabs,
   saveCurrentSession,
   restoreLastSession,
+  restoreSession,
   showWorkspacesModal,
   createWorkspace,
   switchToWorkspace,
   deleteWorkspace,
+  showWorkspaceEditor,
   showRecoveryModal,
   checkRecoveryData,
   updateAutoSaveStatus,
@@ -191,18 +191,20 @@ const TabUtils = {
   /**
    * Find duplicate tabs
    * @param {chrome.tabs.Tab[]} tabs - Array of tabs to check
+   * @param {object[]} rules - Per-domain canonicalization rules (see CanonicalURLUtils)
    * @returns {chrome.tabs.Tab[][]} Array of duplicate tab groups
    */
-  findDuplicates(tabs) {
+  findDuplicates(tabs, rules = []) {
     const urlMap = new Map();
     const duplicates = [];
     
     tabs.forEach(tab => {
       if (tab.url) {
-        if (urlMap.has(tab.url)) {
-          urlMap.get(tab.url).push(tab);
+        const key = CanonicalURLUtils.canonicalize(tab.url, rules);
+        if (urlMap.has(key)) {
+          urlMap.get(key).push(tab);
         } else {
-          urlMap.set(tab.url, [tab]);
+          urlMap.set(key, [tab]);
         }
       }
     });
@@ -216,6 +218,99 @@ const TabUtils = {
     return duplicates;
   },
 
+  DUPLICATE_KEEP_POLICIES: ['recentlyActive', 'currentWindow', 'pinnedOrGrouped', 'audible'],
+  
+  /**
+   * Pick the tab of a duplicate group that should stay open
+   * Pinned copies, then copies playing media, are protected whatever the policy. Among the rest
+   * the chosen policy decides first; the remaining policies break ties in order, then the oldest tab wins.
+   * Recency counts only activations (tabActivity lastActivated), not creating or loading a tab
+   * @param {chrome.tabs.Tab[]} group - Tabs showing the same page
+   * @param {string} policy - One of DUPLICATE_KEEP_POLICIES
+   * @param {Object} context - { activity: tabActivity map, currentWindowId }
+   * @returns {chrome.tabs.Tab} Tab to keep
+   */
+  pickDuplicateSurvivor(group, policy = 'recentlyActive', context = {}) {
+    const { activity = {}, currentWindowId = null } = context;
+    const scores = {
+      recentlyActive: tab => activity[tab.id]?.lastActivated ?? 0,
+      currentWindow: tab => tab.windowId === currentWindowId ? 1 : 0,
+      pinnedOrGrouped: tab => (tab.pinned ? 2 : 0) + (tab.groupId > -1 ? 1 : 0),
+      audible: tab => tab.audible ? 1 : 0
+    };
+    const order = [policy, ...this.DUPLICATE_KEEP_POLICIES.filter(name => name !== policy)]
+      .filter(name => scores[name]);
+    
+    // Pinned tabs are never closed, so one always survives regardless of policy
+    let candidates = group.some(tab => tab.pinned) ? group.filter(tab => tab.pinned) : group;
+    if (candidates.some(tab => tab.audible)) {
+      candidates = candidates.filter(tab => tab.audible);
+    }
+    
+    return candidates.reduce((best, tab) => {
+      for (const name of order) {
+        const diff = scores[name](tab) - scores[name](best);
+        if (diff !== 0) {
+          return diff > 0 ? tab : best;
+        }
+      }
+      return tab.id < best.id ? tab : best;
+    });
+  },
+  
+  // Engagement: focusing a tab and interacting with its page add points that halve every
+  // ENGAGEMENT_HALF_LIFE_MS, so the score reflects both how much and how recently a tab was used
+  ENGAGEMENT_HALF_LIFE_MS: 12 * 60 * 60 * 1000,
+  ENGAGEMENT_FOCUS_POINTS: 1,
+  ENGAGEMENT_TIMEOUT_SCALE: 10, // Score that doubles the inactivity timeout
+  ENGAGEMENT_MAX_TIMEOUT_FACTOR: 4,
+  
+  /**
+   * Current value of a stored engagement record
+   * @param {Object} engagement - { score, updatedAt } from tabActivity
+   * @param {number} now - Timestamp to decay to
+   * @returns {number} Decayed score
+   */
+  getEngagementScore(engagement, now = Date.now()) {
+    if (!engagement?.score) {
+      return 0;
+    }
+    
+    const elapsed = Math.max(now - (engagement.updatedAt || now), 0);
+    return engagement.score * Math.pow(0.5, elapsed / this.ENGAGEMENT_HALF_LIFE_MS);
+  },
+  
+  /**
+   * Adds points to an engagement record
+   * @returns {Object} New { score, updatedAt } record
+   */
+  addEngagement(engagement, points, now = Date.now()) {
+    return {
+      score: this.getEngagementScore(engagement, now) + points,
+      updatedAt: now
+    };
+  },
+  
+  /**
+   * Points for a batch of page interactions reported by the content script
+   * Mousemove alone fires hundreds of events, so points grow with the log of the count
+   * @param {number} count - Interactions in the batch
+   * @returns {number} Points
+   */
+  getInteractionPoints(count) {
+    return count > 0 ? Math.log2(1 + count) : 0;
+  },
+  
+  /**
+   * Inactivity timeout stretched for engaged tabs
+   * @param {number} baseMs - Configured timeout
+   * @param {number} score - Current engagement score
+   * @returns {number} Timeout in milliseconds
+   */
+  getInactivityTimeout(baseMs, score) {
+    return baseMs * Math.min(1 + score / this.ENGAGEMENT_TIMEOUT_SCALE, this.ENGAGEMENT_MAX_TIMEOUT_FACTOR);
+  },
+  
   /**
    * Get tab favicon URL with fallback
    * @param {chrome.tabs.Tab} tab - Tab object
@@ -243,18 +338,27 @@ const SessionUtils = {
    * Create a session object from current tabs
    * @param {chrome.tabs.Tab[]} tabs - Array of tabs
    * @param {string} name - Session name
+   * @param {chrome.tabGroups.TabGroup[]} groups - Tab groups the tabs belong to
    * @returns {object} Session object
    */
-  createSession(tabs, name = null) {
+  createSession(tabs, name = null, groups = []) {
     return {
       id: Date.now().toString(),
       name: name || `Session ${new Date().toLocaleString()}`,
       timestamp: Date.now(),
+      groups: groups.map(group => ({
+        id: group.id,
+        title: group.title || '',
+        color: group.color,
+        collapsed: group.collapsed,
+        windowId: group.windowId
+      })),
       tabs: tabs.map(tab => ({
         url: tab.url,
         title: tab.title,
         pinned: tab.pinned,
         active: tab.active,
+        groupId: tab.groupId,
         favicon: TabUtils.getFaviconUrl(tab)
       }))
     };
@@ -305,6 +409,24 @@ const SessionUtils = {
         }
       }
       
+      // Rebuild tab groups from saved membership
+      if (chrome.tabGroups && Array.isArray(session.groups)) {
+        for (const groupData of session.groups) {
+          const tabIds = createdTabs
+            .filter((tab, index) => session.tabs[index]?.groupId === groupData.id && !tab.pinned)
+            .map(tab => tab.id);
+          
+          if (tabIds.length > 0) {
+            const groupId = await chrome.tabs.group({ tabIds });
+            await chrome.tabGroups.update(groupId, {
+              title: groupData.title,
+              color: groupData.color,
+              collapsed: groupData.collapsed
+            });
+          }
+        }
+      }
+      
       return createdTabs;
     } catch (error) {
       console.error('Error restoring session:', error);
@@ -377,6 +499,97 @@ const WorkspaceUtils = {
     }));
   },
 
+  /**
+   * Get the workspace bound to a window
+   * @param {object[]} workspaces - Array of workspaces
+   * @param {object} windowWorkspaces - Map of window id to workspace id
+   * @param {number} windowId - Window to look up
+   * @returns {object|null} Bound workspace or null
+   */
+  getWindowWorkspace(workspaces, windowWorkspaces, windowId) {
+    const workspaceId = windowWorkspaces[windowId];
+    return workspaces.find(workspace => workspace.id === workspaceId) || null;
+  },
+  
+  /**
+   * Whether a workspace was recorded across several windows
+   * Such a workspace is bound to only one of them, so that window alone can't stand for its contents
+   * @param {object} workspace - Workspace to check
+   * @returns {boolean} True when its tabs or layout cover more than one window
+   */
+  spansMultipleWindows(workspace) {
+    const tabWindowIds = new Set((workspace.tabs || []).map(tab => tab.windowId));
+    return tabWindowIds.size > 1 || (workspace.windows || []).length > 1;
+  },
+  
+  /**
+   * Bind a workspace to a window, releasing any other window that held it
+   * @param {object} windowWorkspaces - Map of window id to workspace id
+   * @param {string} workspaceId - Workspace to bind
+   * @param {number} windowId - Window to bind it to
+   * @returns {object} Updated window map
+   */
+  bindWorkspaceToWindow(windowWorkspaces, workspaceId, windowId) {
+    const updated = Object.fromEntries(
+      Object.entries(windowWorkspaces).filter(([, boundId]) => boundId !== workspaceId)
+    );
+    updated[windowId] = workspaceId;
+    return updated;
+  },
+  
+  /**
+   * Mark workspaces that are open in any window as active
+   * @param {object[]} workspaces - Array of workspaces
+   * @param {object} windowWorkspaces - Map of window id to workspace id
+   * @returns {object[]} Updated workspaces array
+   */
+  applyWindowBindings(workspaces, windowWorkspaces) {
+    const boundIds = new Set(Object.values(windowWorkspaces));
+    return workspaces.map(workspace => ({
+      ...workspace,
+      isActive: boundIds.has(workspace.id)
+    }));
+  },
+  
+  /**
+   * Match open windows to workspaces by the overlap of their tab URLs
+   * Each window and workspace is matched at most once, best matches first
+   * @param {{id: number, urls: string[]}[]} windows - Open windows and their tab URLs
+   * @param {object[]} workspaces - Candidate workspaces
+   * @param {number} minSimilarity - Minimum Jaccard similarity (0-1) for a match
+   * @returns {object} Map of window id to workspace id
+   */
+  matchWindowsToWorkspaces(windows, workspaces, minSimilarity = 0.5) {
+    const candidates = [];
+    
+    for (const win of windows) {
+      const windowUrls = new Set(win.urls.filter(Boolean));
+      
+      for (const workspace of workspaces) {
+        const workspaceUrls = new Set(workspace.tabs.map(tab => tab.url));
+        const shared = [...windowUrls].filter(url => workspaceUrls.has(url)).length;
+        const union = new Set([...windowUrls, ...workspaceUrls]).size;
+        const similarity = union === 0 ? 0 : shared / union;
+        
+        if (similarity >= minSimilarity) {
+          candidates.push({ windowId: win.id, workspaceId: workspace.id, similarity });
+        }
+      }
+    }
+    
+    const matches = {};
+    const matchedWorkspaces = new Set();
+    
+    for (const candidate of candidates.sort((a, b) => b.similarity - a.similarity)) {
+      if (!(candidate.windowId in matches) && !matchedWorkspaces.has(candidate.workspaceId)) {
+        matches[candidate.windowId] = candidate.workspaceId;
+        matchedWorkspaces.add(candidate.workspaceId);
+      }
+    }
+    
+    return matches;
+  },
+  
   /**
    * Filter workspaces by date range
    * @param {object[]} workspaces - Array of workspaces
@@ -441,6 +654,134 @@ const WorkspaceUtils = {
     });
   },
 
+  /**
+   * Normalize free-form tags: trimmed, de-duplicated (case-insensitive), empty ones dropped
+   * @param {string|string[]} tags - Tag array or comma-separated string
+   * @returns {string[]} Normalized tags
+   */
+  normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+    const seen = new Set();
+    
+    return list
+      .map(tag => String(tag).trim().slice(0, 30))
+      .filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+  },
+  
+  /**
+   * Get every tag used by the given workspaces
+   * @param {object[]} workspaces - Array of workspaces
+   * @returns {string[]} Sorted unique tags
+   */
+  getWorkspaceTags(workspaces) {
+    const tags = new Map();
+    
+    workspaces.forEach(workspace => {
+      (workspace.tags || []).forEach(tag => tags.set(tag.toLowerCase(), tag));
+    });
+    
+    return [...tags.values()].sort((a, b) => a.localeCompare(b));
+  },
+  
+  /**
+   * Get the chain of folders from the root down to a folder
+   * @param {object[]} folders - Folder records ({ id, name, parentId })
+   * @param {string|null} folderId - Folder to resolve
+   * @returns {object[]} Folders from the outermost to the given one
+   */
+  getFolderPath(folders, folderId) {
+    const byId = new Map(folders.map(folder => [folder.id, folder]));
+    const path = [];
+    let folder = byId.get(folderId);
+    
+    // Guard against corrupted data that loops back on itself
+    while (folder && !path.includes(folder)) {
+      path.unshift(folder);
+      folder = byId.get(folder.parentId);
+    }
+    
+    return path;
+  },
+  
+  /**
+   * Get a folder's id together with the ids of all folders nested inside it
+   * @param {object[]} folders - Folder records
+   * @param {string} folderId - Top folder
+   * @returns {Set<string>} Folder ids
+   */
+  getFolderDescendantIds(folders, folderId) {
+    const ids = new Set([folderId]);
+    let added = true;
+    
+    while (added) {
+      added = false;
+      folders.forEach(folder => {
+        if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+          ids.add(folder.id);
+          added = true;
+        }
+      });
+    }
+    
+    return ids;
+  },
+  
+  /**
+   * Order folders depth-first so nested folders follow their parent
+   * @param {object[]} folders - Folder records
+   * @returns {{folder: object, depth: number}[]} Flattened folder tree
+   */
+  flattenFolderTree(folders) {
+    const ids = new Set(folders.map(folder => folder.id));
+    const result = [];
+    
+    const visit = (parentId, depth) => {
+      folders
+        .filter(folder => (ids.has(folder.parentId) ? folder.parentId : null) === parentId)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(folder => {
+          if (!result.some(entry => entry.folder === folder)) {
+            result.push({ folder, depth });
+            visit(folder.id, depth + 1);
+          }
+        });
+    };
+    
+    visit(null, 0);
+    return result;
+  },
+  
+  /**
+   * Filter workspaces to a scope: a folder (including nested folders), a tag or favorites
+   * @param {object[]} workspaces - Array of workspaces
+   * @param {object[]} folders - Folder records
+   * @param {object} scope - { type: 'all' | 'favorites' | 'folder' | 'tag', value }
+   * @returns {object[]} Workspaces within the scope
+   */
+  filterWorkspacesByScope(workspaces, folders, scope = {}) {
+    switch (scope.type) {
+      case 'favorites':
+        return workspaces.filter(workspace => workspace.favorite);
+      case 'folder': {
+        const folderIds = this.getFolderDescendantIds(folders, scope.value);
+        return workspaces.filter(workspace => folderIds.has(workspace.folderId));
+      }
+      case 'tag': {
+        const tag = String(scope.value || '').toLowerCase();
+        return workspaces.filter(workspace => (workspace.tags || []).some(t => t.toLowerCase() === tag));
+      }
+      default:
+        return workspaces;
+    }
+  },
+  
   /**
    * Get workspace statistics
    * @param {object[]} workspaces - Array of workspaces
@@ -616,6 +957,206 @@ const WorkspaceUtils = {
     };
   },
 
+  /**
+   * Diff the tabs and workspaces of two snapshots, or of a snapshot and the live state
+   * @param {object} before - Older state ({ tabs, workspaces })
+   * @param {object} after - Newer state ({ tabs, workspaces })
+   * @returns {object} { tabs, workspaces, counts, hasChanges }
+   */
+  diffSnapshots(before, after) {
+    const tabs = this.diffSnapshotTabs(before.tabs || [], after.tabs || []);
+    const workspaces = this.diffSnapshotWorkspaces(before.workspaces || [], after.workspaces || []);
+    
+    const counts = {
+      addedTabs: tabs.added.length,
+      removedTabs: tabs.removed.length,
+      movedTabs: tabs.moved.length,
+      retitledTabs: tabs.retitled.length,
+      addedWorkspaces: workspaces.added.length,
+      removedWorkspaces: workspaces.removed.length,
+      changedWorkspaces: workspaces.changed.length
+    };
+    
+    return {
+      tabs,
+      workspaces,
+      counts,
+      hasChanges: Object.values(counts).some(count => count > 0)
+    };
+  },
+  
+  /**
+   * Diff two tab lists across windows
+   * Tabs are paired by URL (preferring the same tab id, then the same window), so a tab that
+   * navigated shows up as removed and added. Windows are matched by the tabs they share because
+   * window ids change across browser restarts. A tab counts as moved when it changed window or
+   * fell out of the longest run of tabs that kept their relative order.
+   * @param {object[]} beforeTabs - Older tabs ({ id, url, title, windowId, index })
+   * @param {object[]} afterTabs - Newer tabs
+   * @returns {object} { added, removed, moved, retitled }
+   */
+  diffSnapshotTabs(beforeTabs, afterTabs) {
+    const describe = tab => ({
+      url: tab.url,
+      title: tab.title || '',
+      windowId: tab.windowId,
+      index: tab.index,
+      pinned: !!tab.pinned
+    });
+    
+    const unmatched = new Map();
+    beforeTabs.forEach(tab => {
+      if (!unmatched.has(tab.url)) {
+        unmatched.set(tab.url, []);
+      }
+      unmatched.get(tab.url).push(tab);
+    });
+    
+    const pairs = [];
+    const added = [];
+    
+    afterTabs.forEach(tab => {
+      const candidates = unmatched.get(tab.url) || [];
+      let match = candidates.findIndex(candidate => candidate.id !== undefined && candidate.id === tab.id);
+      if (match === -1) {
+        match = candidates.findIndex(candidate => candidate.windowId === tab.windowId);
+      }
+      if (match === -1 && candidates.length > 0) {
+        match = 0;
+      }
+      
+      if (match === -1) {
+        added.push(describe(tab));
+      } else {
+        pairs.push({ before: candidates.splice(match, 1)[0], after: tab });
+      }
+    });
+    
+    const removed = [...unmatched.values()].flat().map(describe);
+    
+    // Match old windows to new ones one-to-one, the pairs sharing the most tabs first
+    const windowVotes = new Map();
+    pairs.forEach(({ before, after }) => {
+      const key = `${before.windowId}:${after.windowId}`;
+      const vote = windowVotes.get(key) || { from: before.windowId, to: after.windowId, count: 0 };
+      vote.count++;
+      windowVotes.set(key, vote);
+    });
+    const windowMap = new Map();
+    const claimedWindows = new Set();
+    [...windowVotes.values()]
+      .sort((a, b) => b.count - a.count)
+      .forEach(({ from, to }) => {
+        if (!windowMap.has(from) && !claimedWindows.has(to)) {
+          windowMap.set(from, to);
+          claimedWindows.add(to);
+        }
+      });
+    
+    const moved = [];
+    const stayedInWindow = new Map();
+    const describeMove = ({ before, after }, crossWindow) => ({
+      ...describe(after),
+      from: { windowId: before.windowId, index: before.index },
+      crossWindow
+    });
+    
+    pairs.forEach(pair => {
+      if (windowMap.get(pair.before.windowId) !== pair.after.windowId) {
+        moved.push(describeMove(pair, true));
+      } else {
+        const group = stayedInWindow.get(pair.before.windowId) || [];
+        group.push(pair);
+        stayedInWindow.set(pair.before.windowId, group);
+      }
+    });
+    
+    stayedInWindow.forEach(group => {
+      group.sort((a, b) => a.before.index - b.before.index);
+      const inOrder = this.longestIncreasingRun(group.map(pair => pair.after.index));
+      group.forEach((pair, position) => {
+        if (!inOrder.has(position)) {
+          moved.push(describeMove(pair, false));
+        }
+      });
+    });
+    
+    const retitled = pairs
+      .filter(({ before, after }) => before.title && after.title && before.title !== after.title)
+      .map(({ before, after }) => ({ ...describe(after), previousTitle: before.title }));
+    
+    return { added, removed, moved, retitled };
+  },
+  
+  /**
+   * Diff two workspace lists by id, including the tab changes inside each workspace
+   * @param {object[]} beforeWorkspaces - Older workspaces
+   * @param {object[]} afterWorkspaces - Newer workspaces
+   * @returns {object} { added, removed, changed }
+   */
+  diffSnapshotWorkspaces(beforeWorkspaces, afterWorkspaces) {
+    const describe = workspace => ({
+      id: workspace.id,
+      name: workspace.name,
+      tabCount: (workspace.tabs || []).length
+    });
+    const beforeById = new Map(beforeWorkspaces.map(workspace => [workspace.id, workspace]));
+    const afterIds = new Set(afterWorkspaces.map(workspace => workspace.id));
+    
+    const changed = [];
+    afterWorkspaces.forEach(workspace => {
+      const previous = beforeById.get(workspace.id);
+      if (!previous) {
+        return;
+      }
+      
+      const tabs = this.diffSnapshotTabs(previous.tabs || [], workspace.tabs || []);
+      const renamed = previous.name !== workspace.name;
+      const tabsChanged = Object.values(tabs).some(list => list.length > 0);
+      
+      if (renamed || tabsChanged) {
+        changed.push({ ...describe(workspace), previousName: renamed ? previous.name : null, tabs });
+      }
+    });
+    
+    return {
+      added: afterWorkspaces.filter(workspace => !beforeById.has(workspace.id)).map(describe),
+      removed: beforeWorkspaces.filter(workspace => !afterIds.has(workspace.id)).map(describe),
+      changed
+    };
+  },
+  
+  /**
+   * Find the positions forming the longest strictly increasing run of values
+   * @param {number[]} values - Sequence to scan
+   * @returns {Set<number>} Positions in the run
+   */
+  longestIncreasingRun(values) {
+    const tails = [];
+    const previous = new Array(values.length).fill(-1);
+    
+    values.forEach((value, position) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[tails[mid]] < value) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      previous[position] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = position;
+    });
+    
+    const run = new Set();
+    for (let position = tails.length > 0 ? tails[tails.length - 1] : -1; position !== -1; position = previous[position]) {
+      run.add(position);
+    }
+    return run;
+  },
+  
   /**
    * Extract recoverable workspaces from snapshot
    * @param {object} snapshot - Snapshot to process
@@ -631,6 +1172,427 @@ const WorkspaceUtils = {
              workspace.tabs && 
              workspace.tabs.length > 0;
     });
+  },
+  
+  /**
+   * Snapshot fields that change on every save and do not count as a change of state
+   */
+  VOLATILE_SNAPSHOT_FIELDS: ['id', 'timestamp', 'sessionId', 'metadata'],
+  
+  /**
+   * Encode a snapshot as the changes from the previous one
+   * Arrays whose items all carry a unique id (tabs, workspaces, windows, groups) are encoded
+   * per item; every other field is stored whole when it changed.
+   * @param {object} previous - Previous full snapshot
+   * @param {object} next - New full snapshot
+   * @returns {object} Delta ({ fields, lists, removedFields })
+   */
+  createSnapshotDelta(previous, next) {
+    const delta = { fields: {}, lists: {}, removedFields: [] };
+    
+    for (const [key, value] of Object.entries(next)) {
+      if (this.isKeyedList(value) && this.isKeyedList(previous[key])) {
+        const listDelta = this.diffKeyedList(previous[key], value);
+        if (listDelta) {
+          delta.lists[key] = listDelta;
+        }
+      } else if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+        delta.fields[key] = value;
+      }
+    }
+    
+    delta.removedFields = Object.keys(previous).filter(key => !(key in next));
+    return delta;
+  },
+  
+  /**
+   * Rebuild a full snapshot from the previous one and a delta (the previous snapshot is not modified)
+   * @param {object} previous - Previous full snapshot
+   * @param {object} delta - Delta from createSnapshotDelta
+   * @returns {object} Full snapshot
+   */
+  applySnapshotDelta(previous, delta) {
+    const snapshot = { ...previous, ...delta.fields };
+    
+    (delta.removedFields || []).forEach(key => {
+      delete snapshot[key];
+    });
+    
+    Object.entries(delta.lists || {}).forEach(([key, listDelta]) => {
+      snapshot[key] = this.applyKeyedList(previous[key] || [], listDelta);
+    });
+    
+    return snapshot;
+  },
+  
+  /**
+   * Check whether a new snapshot records a different state than the previous one
+   * @param {object} previous - Previous full snapshot
+   * @param {object} next - New full snapshot
+   * @returns {boolean} Whether anything besides the volatile fields changed
+   */
+  hasSnapshotChanged(previous, next) {
+    const delta = this.createSnapshotDelta(previous, next);
+    const changedFields = Object.keys(delta.fields).filter(key => !this.VOLATILE_SNAPSHOT_FIELDS.includes(key));
+    
+    return changedFields.length > 0 || Object.keys(delta.lists).length > 0 || delta.removedFields.length > 0;
+  },
+  
+  /**
+   * Check whether a value is an array of objects with unique ids
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the array can be delta-encoded per item
+   */
+  isKeyedList(value) {
+    if (!Array.isArray(value)) {
+      return false;
+    }
+    
+    const ids = new Set();
+    return value.every(item => {
+      if (!item || item.id === undefined || item.id === null || ids.has(item.id)) {
+        return false;
+      }
+      ids.add(item.id);
+      return true;
+    });
+  },
+  
+  /**
+   * Diff two keyed lists
+   * @param {object[]} previous - Previous items
+   * @param {object[]} next - New items
+   * @returns {object|null} { upsert, remove, order } or null when nothing changed
+   */
+  diffKeyedList(previous, next) {
+    const previousById = new Map(previous.map(item => [item.id, JSON.stringify(item)]));
+    const nextIds = new Set(next.map(item => item.id));
+    
+    const upsert = next.filter(item => previousById.get(item.id) !== JSON.stringify(item));
+    const remove = previous.filter(item => !nextIds.has(item.id)).map(item => item.id);
+    const orderChanged = previous.length !== next.length || previous.some((item, index) => item.id !== next[index].id);
+    
+    if (upsert.length === 0 && remove.length === 0 && !orderChanged) {
+      return null;
+    }
+    
+    return {
+      upsert,
+      remove,
+      order: orderChanged ? next.map(item => item.id) : null
+    };
+  },
+  
+  /**
+   * Apply a keyed list delta
+   * @param {object[]} previous - Previous items
+   * @param {object} listDelta - Delta from diffKeyedList
+   * @returns {object[]} New items
+   */
+  applyKeyedList(previous, listDelta) {
+    const items = new Map(previous.map(item => [item.id, item]));
+    
+    listDelta.remove.forEach(id => items.delete(id));
+    listDelta.upsert.forEach(item => items.set(item.id, item));
+    
+    const order = listDelta.order || previous.map(item => item.id);
+    return order.filter(id => items.has(id)).map(id => items.get(id));
+  },
+  
+  DEFAULT_SNAPSHOT_RETENTION: {
+    keepAllHours: 1,
+    hourlyDays: 1,
+    dailyDays: 7,
+    weeklyWeeks: 4
+  },
+  
+  /**
+   * Select snapshots to keep with grandfather-father-son retention: every snapshot
+   * within keepAllHours, then one per hour, day and week for the configured spans.
+   * The oldest snapshot of each period is kept, so once selected it stays selected
+   * as it ages into the next tier. The newest snapshot is always kept.
+   * @param {Array<{id: string, timestamp: number}>} entries - Snapshot entries
+   * @param {object} retention - Tier spans, see DEFAULT_SNAPSHOT_RETENTION
+   * @param {number} now - Current time
+   * @returns {Set<string>} Ids of the snapshots to keep
+   */
+  selectRetainedSnapshots(entries, retention = {}, now = Date.now()) {
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    const WEEK = 7 * DAY;
+    const spans = { ...this.DEFAULT_SNAPSHOT_RETENTION };
+    Object.entries(retention).forEach(([tier, span]) => {
+      if (Number.isFinite(span) && span >= 0) {
+        spans[tier] = span;
+      }
+    });
+    
+    // Periods are aligned to local time; weeks start on Monday (the epoch was a Thursday)
+    const tiers = [
+      { until: spans.hourlyDays * DAY, period: HOUR, offset: 0 },
+      { until: spans.dailyDays * DAY, period: DAY, offset: 0 },
+      { until: spans.weeklyWeeks * WEEK, period: WEEK, offset: 4 * DAY }
+    ];
+    const keep = new Set();
+    const claimed = tiers.map(() => new Set());
+    const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+    
+    sorted.forEach(entry => {
+      const age = now - entry.timestamp;
+      if (age <= spans.keepAllHours * HOUR) {
+        keep.add(entry.id);
+        return;
+      }
+      
+      const local = entry.timestamp - new Date(entry.timestamp).getTimezoneOffset() * 60 * 1000;
+      tiers.forEach((tier, i) => {
+        const bucket = Math.floor((local - tier.offset) / tier.period);
+        if (age <= tier.until && !claimed[i].has(bucket)) {
+          claimed[i].add(bucket);
+          keep.add(entry.id);
+        }
+      });
+    });
+    
+    if (sorted.length > 0) {
+      keep.add(sorted[sorted.length - 1].id);
+    }
+    
+    return keep;
+  }
+};
+
+/**
+ * Archive utility functions
+ * Workspaces and sessions evicted by the saved-item limits are archived as
+ * gzip-compressed JSON (base64) next to a small uncompressed index used for listing and search
+ */
+const ArchiveUtils = {
+  EVICTION_POLICIES: ['oldest', 'leastRecentlyAccessed'],
+  
+  /**
+   * Compress a value to a base64 gzip string
+   * @param {*} data - JSON-serializable value
+   * @returns {Promise<string>} Compressed data
+   */
+  async compress(data) {
+    const stream = new Blob([JSON.stringify(data)]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    
+    // Convert in chunks; spreading a large array into fromCharCode overflows the stack
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+  
+  /**
+   * Decompress a value produced by compress()
+   * @param {string} encoded - Compressed data
+   * @returns {Promise<*>} Original value
+   */
+  async decompress(encoded) {
+    const bytes = Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+  },
+  
+  /**
+   * Pick the items to evict so a list gets back under its limit
+   * @param {object[]} items - Workspaces or sessions
+   * @param {number} excessCount - How many items are over the limit
+   * @param {object} options - { policy: 'oldest' | 'leastRecentlyAccessed', protectedIds: Set, protectFavorites }
+   * @returns {object[]} Items to evict, least valuable first
+   */
+  selectForEviction(items, excessCount, { policy = 'oldest', protectedIds = new Set(), protectFavorites = true } = {}) {
+    if (excessCount <= 0) {
+      return [];
+    }
+    
+    const lastUsed = item => policy === 'leastRecentlyAccessed'
+      ? (item.lastAccessed || item.timestamp || 0)
+      : (item.timestamp || 0);
+    
+    return items
+      .filter(item => !protectedIds.has(item.id) && !(protectFavorites && item.favorite))
+      .sort((a, b) => lastUsed(a) - lastUsed(b))
+      .slice(0, excessCount);
+  },
+  
+  /**
+   * Build an archive entry for a workspace or session
+   * @param {string} kind - 'workspace' or 'session'
+   * @param {object} item - The evicted workspace or session
+   * @param {string} data - The item compressed with compress()
+   * @param {string} reason - Why the item was archived
+   * @returns {object} Archive entry
+   */
+  createEntry(kind, item, data, reason) {
+    const tabs = item.tabs || [];
+    const domains = new Set(tabs.map(tab => URLUtils.getDomain(tab.url)).filter(Boolean));
+    
+    return {
+      id: `archive_${kind}_${item.id}_${Date.now()}`,
+      kind,
+      itemId: item.id,
+      name: item.name,
+      tags: item.tags || [],
+      tabCount: tabs.length,
+      domains: [...domains].slice(0, 20),
+      timestamp: item.timestamp,
+      lastAccessed: item.lastAccessed || null,
+      archivedAt: Date.now(),
+      reason,
+      data
+    };
+  },
+  
+  /**
+   * Check whether an archive entry's index matches a search query
+   * @param {object} entry - Archive entry
+   * @param {string} query - Search text
+   * @returns {boolean} Whether the name, tags or domains match
+   */
+  matchesIndex(entry, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+      return true;
+    }
+    
+    return [entry.name, ...(entry.tags || []), ...(entry.domains || [])]
+      .some(text => String(text || '').toLowerCase().includes(needle));
+  }
+};
+
+/**
+ * Workspace template utility functions
+ * Templates are hand-authored workspace definitions:
+ * { name, tabs: [{ url, title, pinned, group }], groups: [{ name, color, collapsed }], window, saveAsWorkspace }
+ * Any string may contain {variable} placeholders that are filled in at launch
+ */
+const TemplateUtils = {
+  VARIABLE_PATTERN: /\{([a-zA-Z_][\w-]*)\}/g,
+  GROUP_COLORS: ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'],
+  WINDOW_STATES: ['normal', 'minimized', 'maximized', 'fullscreen'],
+  
+  /**
+   * Collect the placeholder names used anywhere in a template
+   * @param {object} template - Template to scan
+   * @returns {string[]} Unique variable names in order of first use
+   */
+  getVariables(template) {
+    const strings = [
+      template.name,
+      ...(template.tabs || []).flatMap(tab => [tab.url, tab.title, tab.group]),
+      ...(template.groups || []).map(group => group.name)
+    ];
+    const names = new Set();
+    
+    for (const text of strings) {
+      if (typeof text === 'string') {
+        for (const match of text.matchAll(this.VARIABLE_PATTERN)) {
+          names.add(match[1]);
+        }
+      }
+    }
+    
+    return [...names];
+  },
+  
+  /**
+   * Replace {variable} placeholders in a string
+   * @param {string} text - Text containing placeholders
+   * @param {object} values - Variable values by name
+   * @param {boolean} encode - URL-encode substituted values (see encodeValue)
+   * @returns {string} Text with placeholders replaced
+   */
+  fill(text, values, encode = false) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    
+    return text.replace(this.VARIABLE_PATTERN, (placeholder, name, offset) => {
+      if (!(name in values)) {
+        return placeholder;
+      }
+      return encode ? this.encodeValue(String(values[name]), text.slice(0, offset)) : values[name];
+    });
+  },
+  
+  /**
+   * URL-encode a value for the part of the URL it is substituted into
+   * Query and fragment values are encoded as components; in the path "/" is kept so a
+   * value like "owner/repo" fills several segments, while "?" and "#" are still escaped
+   * @param {string} value - Value to encode
+   * @param {string} precedingText - URL text before the placeholder
+   * @returns {string} Encoded value
+   */
+  encodeValue(value, precedingText) {
+    if (/[?#]/.test(precedingText)) {
+      return encodeURIComponent(value);
+    }
+    return encodeURI(value).replace(/[?#]/g, encodeURIComponent);
+  },
+  
+  /**
+   * Produce a launchable copy of a template with every placeholder filled in
+   * @param {object} template - Template to resolve
+   * @param {object} values - Variable values by name
+   * @returns {object} Resolved template
+   */
+  resolve(template, values = {}) {
+    return {
+      ...template,
+      name: this.fill(template.name, values),
+      tabs: (template.tabs || []).map(tab => ({
+        ...tab,
+        url: this.fill(tab.url, values, true),
+        title: this.fill(tab.title, values),
+        group: this.fill(tab.group, values)
+      })),
+      groups: (template.groups || []).map(group => ({
+        ...group,
+        name: this.fill(group.name, values)
+      }))
+    };
+  },
+  
+  /**
+   * Validate a template definition
+   * @param {object} template - Template to validate
+   * @returns {object} { valid, error }
+   */
+  validate(template) {
+    if (!template || typeof template !== 'object') {
+      return { valid: false, error: 'Template must be an object' };
+    }
+    
+    if (!template.name || typeof template.name !== 'string' || template.name.trim().length === 0) {
+      return { valid: false, error: 'Template name is required' };
+    }
+    
+    if (!Array.isArray(template.tabs) || template.tabs.length === 0) {
+      return { valid: false, error: `Template "${template.name}" needs at least one tab` };
+    }
+    
+    const badTab = template.tabs.find(tab => !tab || typeof tab.url !== 'string' || tab.url.trim().length === 0);
+    if (badTab !== undefined) {
+      return { valid: false, error: `Template "${template.name}" has a tab without a URL` };
+    }
+    
+    const badGroup = (template.groups || []).find(group =>
+      !group || !group.name || (group.color && !this.GROUP_COLORS.includes(group.color))
+    );
+    if (badGroup !== undefined) {
+      return { valid: false, error: `Template "${template.name}" has a group without a name or with an unknown color` };
+    }
+    
+    if (template.window && template.window.state && !this.WINDOW_STATES.includes(template.window.state)) {
+      return { valid: false, error: `Template "${template.name}" has an unknown window state` };
+    }
+    
+    return { valid: true };
   }
 };
 
@@ -852,6 +1814,60 @@ const UIUtils = {
         document.body.removeChild(toast);
       }, 300);
     }, duration);
+  },
+  
+  /**
+   * Render the result of WorkspaceUtils.diffSnapshots as HTML
+   * @param {object} diff - Snapshot diff
+   * @param {number} maxItems - Entries listed per section before summarizing the rest
+   * @returns {string} HTML markup (styled by the .snapshot-diff rules of each page)
+   */
+  renderSnapshotDiff(diff, maxItems = 30) {
+    if (!diff.hasChanges) {
+      return '<p class="snapshot-diff-empty">No differences</p>';
+    }
+    
+    const escape = text => SearchUtils.escapeHtml(String(text ?? ''));
+    const tabLabel = tab => `<span class="snapshot-diff-title">${escape(tab.title || tab.url)}</span>`;
+    const position = ({ windowId, index }) => `window ${escape(windowId)}, position ${index + 1}`;
+    
+    const section = (title, className, items, renderItem) => {
+      if (items.length === 0) {
+        return '';
+      }
+      const more = items.length > maxItems ? `<li class="snapshot-diff-more">and ${items.length - maxItems} more</li>` : '';
+      return `
+        <details class="snapshot-diff-section ${className}" open>
+          <summary>${title} (${items.length})</summary>
+          <ul>${items.slice(0, maxItems).map(item => `<li>${renderItem(item)}</li>`).join('')}${more}</ul>
+        </details>
+      `;
+    };
+    
+    const tabSections = tabs => [
+      section('Added tabs', 'added', tabs.added, tab => tabLabel(tab)),
+      section('Removed tabs', 'removed', tabs.removed, tab => tabLabel(tab)),
+      section('Moved tabs', 'moved', tabs.moved, tab =>
+        `${tabLabel(tab)} <span class="snapshot-diff-detail">${tab.crossWindow ? 'to another window' : 'reordered'}: ${position(tab.from)} → ${position(tab)}</span>`
+      ),
+      section('Changed titles', 'retitled', tabs.retitled, tab =>
+        `${escape(tab.previousTitle)} → ${tabLabel(tab)}`
+      )
+    ].join('');
+    
+    return `
+      <div class="snapshot-diff-body">
+        ${tabSections(diff.tabs)}
+        ${section('Added workspaces', 'added', diff.workspaces.added, workspace => `${escape(workspace.name)} <span class="snapshot-diff-detail">${workspace.tabCount} tabs</span>`)}
+        ${section('Removed workspaces', 'removed', diff.workspaces.removed, workspace => `${escape(workspace.name)} <span class="snapshot-diff-detail">${workspace.tabCount} tabs</span>`)}
+        ${section('Changed workspaces', 'changed', diff.workspaces.changed, workspace => `
+          ${escape(workspace.name)}${workspace.previousName ? ` <span class="snapshot-diff-detail">renamed from ${escape(workspace.previousName)}</span>` : ''}
+          <span class="snapshot-diff-detail">
+            +${workspace.tabs.added.length} / -${workspace.tabs.removed.length} tabs${workspace.tabs.moved.length > 0 ? `, ${workspace.tabs.moved.length} moved` : ''}
+          </span>
+        `)}
+      </div>
+    `;
   }
 };
 
@@ -950,6 +1966,37 @@ const URLUtils = {
     }
   },
 
+  /**
+   * Check if URL matches a wildcard pattern such as "*.example.com/docs/*"
+   * Patterns without a scheme are matched against host + path + query
+   * @param {string} url - URL to test
+   * @param {string} pattern - Pattern where * matches any run of characters
+   * @returns {boolean} Whether URL matches
+   */
+  matchesPattern(url, pattern) {
+    if (!url || !pattern) {
+      return false;
+    }
+    
+    let target = url;
+    if (!pattern.includes('://')) {
+      try {
+        const urlObj = new URL(url);
+        target = urlObj.host + urlObj.pathname + urlObj.search;
+      } catch (error) {
+        return false;
+      }
+    }
+    
+    const escaped = pattern
+      .trim()
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    
+    return new RegExp(`^${escaped}`, 'i').test(target);
+  },
+  
   /**
    * Shorten URL for display
    * @param {string} url - URL to shorten
@@ -978,6 +2025,192 @@ const URLUtils = {
   }
 };
 
+/**
+ * URL canonicalization for duplicate detection
+ * Two URLs are duplicates when their canonical keys are equal. Built-in rules fold
+ * http/https, "www.", host case, default ports, trailing slashes, fragments, tracking
+ * parameters and query parameter order. Per-domain rules ({ pattern, id, query, fragment })
+ * refine this for sites where only part of the URL identifies the page.
+ */
+const CanonicalURLUtils = {
+  TRACKING_PARAMS: [
+    'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src', 'ref_url', 'spm'
+  ],
+  TRACKING_PARAM_PREFIXES: ['utm_', 'pk_', 'vero_'],
+  
+  /**
+   * Whether a query parameter only tracks where a visit came from
+   * @param {string} name - Parameter name
+   * @returns {boolean} Whether the parameter is a tracking parameter
+   */
+  isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return this.TRACKING_PARAMS.includes(lower) ||
+      this.TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+  },
+  
+  /**
+   * Find the first per-domain rule whose pattern matches a URL
+   * @param {string} url - URL to test
+   * @param {object[]} rules - Per-domain rules
+   * @returns {object|null} Matching rule
+   */
+  findRule(url, rules = []) {
+    // Patterns are written without "www.", so match the bare host too
+    const bareUrl = url.replace('://www.', '://');
+    return rules.find(rule =>
+      URLUtils.matchesPattern(url, rule.pattern) || URLUtils.matchesPattern(bareUrl, rule.pattern)
+    ) || null;
+  },
+  
+  /**
+   * Compute the canonical key of a URL
+   * Rule fields: id - regex run on path + query, only its first capture group (or the whole
+   * match) identifies the page; query - 'none', 'all' or a list of parameters to keep;
+   * fragment - 'keep' to treat #fragments as significant
+   * @param {string} url - URL to canonicalize
+   * @param {object[]} rules - Per-domain rules
+   * @returns {string} Canonical key
+   */
+  canonicalize(url, rules = []) {
+    if (!url) {
+      return '';
+    }
+    
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return url;
+    }
+    
+    // Only web pages are folded; chrome://, file: and the like compare as-is
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+      return url;
+    }
+    
+    const rule = this.findRule(url, rules);
+    const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    const port = urlObj.port ? `:${urlObj.port}` : '';
+    
+    if (rule?.id) {
+      try {
+        const match = (urlObj.pathname + urlObj.search).match(new RegExp(rule.id));
+        if (match) {
+          // With alternation only the branch that matched has its group set
+          const id = match.slice(1).find(group => group !== undefined) ?? match[0];
+          return `${host}${port}#id:${id}`;
+        }
+      } catch (error) {
+        // Invalid regex, fall through to the regular rules
+      }
+    }
+    
+    const path = urlObj.pathname.length > 1 ? urlObj.pathname.replace(/\/+$/, '') : '';
+    
+    const params = [...urlObj.searchParams.entries()]
+      .filter(([name]) => {
+        if (rule?.query === 'none') {
+          return false;
+        }
+        if (Array.isArray(rule?.query)) {
+          return rule.query.includes(name);
+        }
+        return rule?.query === 'all' || !this.isTrackingParam(name);
+      })
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    
+    // Fragments are ignored, except hash-routed apps ("#/inbox", "#!/page") where they are the page
+    const routed = /^#!?\//.test(urlObj.hash);
+    const fragment = rule?.fragment === 'keep' || routed ? urlObj.hash : '';
+    
+    return `${host}${port}${path}${query}${fragment}`;
+  },
+  
+  /**
+   * Whether two URLs point at the same page
+   * @param {string} a - First URL
+   * @param {string} b - Second URL
+   * @param {object[]} rules - Per-domain rules
+   * @returns {boolean} Whether the URLs are duplicates
+   */
+  isSameUrl(a, b, rules = []) {
+    return this.canonicalize(a, rules) === this.canonicalize(b, rules);
+  },
+  
+  /**
+   * Parse per-domain rules edited as "pattern | rule; rule" lines
+   * Rules: id=<regex>, query=none|all|name,name, fragment=keep|ignore
+   * Only the first "|" separates the pattern, so id regexes may use alternation
+   * @param {string} text - Rule lines
+   * @param {string[]} errors - Receives a message for each line dropped because its id regex is invalid
+   * @returns {object[]} Per-domain rules
+   */
+  parseRules(text, errors = []) {
+    return text
+      .split('\n')
+      .map((line, index) => {
+        const separator = line.indexOf('|');
+        return separator === -1
+          ? { lineNumber: index + 1 }
+          : { lineNumber: index + 1, pattern: line.slice(0, separator).trim(), definition: line.slice(separator + 1).trim() };
+      })
+      .filter(({ pattern, definition }) => pattern && definition)
+      .map(({ lineNumber, pattern, definition }) => {
+        const rule = { pattern };
+        definition.split(';').forEach(part => {
+          const separator = part.indexOf('=');
+          const key = part.slice(0, separator).trim().toLowerCase();
+          const value = part.slice(separator + 1).trim();
+          
+          if (separator === -1 || !value) {
+            return;
+          }
+          if (key === 'id') {
+            try {
+              new RegExp(value);
+              rule.id = value;
+            } catch (error) {
+              errors.push(`Line ${lineNumber}: invalid id pattern ${value} (${error.message})`);
+              rule.invalid = true;
+            }
+          } else if (key === 'query') {
+            rule.query = ['none', 'all'].includes(value) ? value : value.split(',').map(name => name.trim()).filter(Boolean);
+          } else if (key === 'fragment') {
+            rule.fragment = value === 'keep' ? 'keep' : 'ignore';
+          }
+        });
+        return rule;
+      })
+      .filter(rule => !rule.invalid);
+  },
+  
+  /**
+   * Format per-domain rules back into editable lines
+   * @param {object[]} rules - Per-domain rules
+   * @returns {string} Rule lines
+   */
+  formatRules(rules) {
+    return rules
+      .map(rule => {
+        const parts = [];
+        if (rule.id) {
+          parts.push(`id=${rule.id}`);
+        }
+        if (rule.query) {
+          parts.push(`query=${Array.isArray(rule.query) ? rule.query.join(',') : rule.query}`);
+        }
+        if (rule.fragment) {
+          parts.push(`fragment=${rule.fragment}`);
+        }
+        return `${rule.pattern} | ${parts.join('; ')}`;
+      })
+      .join('\n');
+  }
+};
+
 // Export all utilities
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -985,21 +2218,27 @@ if (typeof module !== 'undefined' && module.exports) {
     TabUtils,
     SessionUtils,
     WorkspaceUtils,
+    TemplateUtils,
+    ArchiveUtils,
     SearchUtils,
     UIUtils,
     DateUtils,
-    URLUtils
+    URLUtils,
+    CanonicalURLUtils
   };
 } else {
-  // Browser environment
-  window.GodTabsUtils = {
+  // Browser and service worker environments
+  self.GodTabsUtils = {
     StorageUtils,
     TabUtils,
     SessionUtils,
     WorkspaceUtils,
+    TemplateUtils,
+    ArchiveUtils,
     SearchUtils,
     UIUtils,
     DateUtils,
-    URLUtils
+    URLUtils,
+    CanonicalURLUtils
   };
 }
\ No newline at end of file